@@ -1,36 +1,45 @@
 // backend/src/controllers/authController.js
 import User from "../models/User.js";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import { issueTokens } from "../services/authTokens.js";
+import { loginAttempt, loginFailed, loginSucceeded } from "../services/loginThrottle.js";
+import { sendVerificationLink } from "../services/emailVerification.js";
+
+// Compared against when the email is unknown, so both failures take as long
+const DUMMY_HASH = bcrypt.hashSync("no-such-account", 10);
 
 // ------------------- LOGIN -------------------
 export const loginUser = async (req, res) => {
-  const { email, password } = req.body;
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const password = String(req.body?.password || "");
 
   try {
-    // 1️⃣ Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid email or password" });
+    // 1️⃣ Count the attempt; refuse while the account or address is throttled
+    const blocked = await loginAttempt(email, req.ip);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({ message: blocked.message, retryAfter: blocked.retryAfter });
     }
 
-    // 2️⃣ Compare passwords
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+    // 2️⃣ Find user by email and compare passwords (unknown emails fail the same way)
+    const user = await User.findOne({ email });
+    const isMatch = await bcrypt.compare(password, user?.password || DUMMY_HASH);
+    if (!user || !isMatch) {
+      await loginFailed(email, req.ip);
       return res.status(400).json({ message: "Invalid email or password" });
     }
+    await loginSucceeded(email, req.ip);
+    if (!user.active) {
+      return res.status(403).json({ message: "This account has been disabled" });
+    }
 
-    // 3️⃣ Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // 3️⃣ Issue access + refresh tokens
+    const tokens = await issueTokens(user);
 
     // 4️⃣ Send response
     res.status(200).json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -39,6 +48,7 @@ export const loginUser = async (req, res) => {
         phone: user.phone,
         role: user.role,
         profilePhoto: user.profilePhoto || null,
+        emailVerified: user.emailVerified !== false,
       },
     });
   } catch (err) {
@@ -91,19 +101,19 @@ export const registerUser = async (req, res) => {
       password: hashedPassword,
       role,
       profilePhoto: req.file ? req.file.filename : null,
+      emailVerified: false,
     });
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // Ask the owner to confirm the address (the account works meanwhile, without reporting)
+    await sendVerificationLink(user).catch((err) => console.error("Verification mail error:", err.message));
+
+    // Issue access + refresh tokens
+    const tokens = await issueTokens(user);
 
     res.status(201).json({
-      message: "Registration successful",
-      token,
+      message: "Registration successful. Check your inbox to verify your email address.",
+      ...tokens,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -112,6 +122,7 @@ export const registerUser = async (req, res) => {
         phone: user.phone,
         role: user.role,
         profilePhoto: user.profilePhoto || null,
+        emailVerified: user.emailVerified !== false,
       },
     });
   } catch (err) {
@@ -1,27 +1,48 @@
 // File: backend/middleware/authMiddleware.js
 
 import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { permissionsFor, hasPermission } from "../services/permissions.js";
 
 /**
- * Protect routes – ensures the request has a valid JWT token
+ * Protect routes – ensures the request has a valid, unrevoked JWT access token
+ * of an active account. The role (and its permissions) is read from the account,
+ * not the token.
  */
-export const protect = (req, res, next) => {
+export const protect = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ message: "No token provided" });
+  }
+
+  let decoded;
   try {
-    const authHeader = req.headers.authorization;
+    decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
+    if (decoded.purpose) throw new Error(`A ${decoded.purpose} token is not an access token`);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") return res.status(401).json({ message: "Token expired" });
+    console.error("Auth middleware error:", err.message);
+    return res.status(403).json({ message: "Invalid or expired token" });
+  }
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "No token provided" });
+  try {
+    const user = await User.findById(decoded.id).select("role active tokenVersion emailVerified").lean();
+    if (!user || !user.active || (decoded.ver ?? 0) !== (user.tokenVersion ?? 0)) {
+      return res.status(401).json({ message: "Session has been revoked" });
     }
 
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Attach user info (id + role) to request
-    req.user = decoded;
+    // Attach user info (id, role, permissions, verified email) to request
+    req.user = {
+      ...decoded,
+      id: String(user._id),
+      role: user.role,
+      permissions: await permissionsFor(user.role),
+      emailVerified: user.emailVerified !== false,
+    };
     next();
   } catch (err) {
     console.error("Auth middleware error:", err.message);
-    return res.status(403).json({ message: "Invalid or expired token" });
+    res.status(500).json({ message: "Server error" });
   }
 };
 
@@ -34,3 +55,34 @@ export const adminOnly = (req, res, next) => {
   }
   next();
 };
+
+/**
+ * Permission check – use after protect; passes when the user's role grants any of `permissions`
+ */
+export const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!permissions.some((p) => hasPermission(req.user, p))) {
+      return res.status(403).json({ message: `Missing permission: ${permissions.join(" or ")}` });
+    }
+    next();
+  };
+
+/**
+ * Verified-email check – use after protect; unverified accounts get 403
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({ message: "Verify your email address first", code: "EMAIL_NOT_VERIFIED" });
+  }
+  next();
+};
+
+/**
+ * Optional auth – attaches req.user when a valid token is sent, lets anonymous requests through
+ */
+export const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return next();
+  protect(req, res, next);
+};
@@ -0,0 +1,45 @@
+// File: backend/middleware/deviceAuth.js
+
+import crypto from "crypto";
+import Device from "../models/Device.js";
+
+export const hashDeviceKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * New random device key; the prefix identifies the device, the secret authenticates it
+ * @returns {{key: string, keyPrefix: string, keyHash: string}}
+ */
+export const generateDeviceKey = () => {
+  const keyPrefix = crypto.randomBytes(4).toString("hex");
+  const key = `${keyPrefix}.${crypto.randomBytes(24).toString("hex")}`;
+  return { key, keyPrefix, keyHash: hashDeviceKey(key) };
+};
+
+/**
+ * Device routes – ensures the request carries a valid, active device API key
+ * (X-Device-Key header)
+ */
+export const deviceAuth = async (req, res, next) => {
+  try {
+    const key = req.headers["x-device-key"];
+    if (!key || !key.includes(".")) {
+      return res.status(401).json({ message: "No device key provided" });
+    }
+
+    const device = await Device.findOne({ keyPrefix: key.split(".")[0] }).select("+keyHash");
+    const expected = Buffer.from(device ? device.keyHash : "", "hex");
+    const given = Buffer.from(hashDeviceKey(key), "hex");
+    if (!device || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return res.status(401).json({ message: "Invalid device key" });
+    }
+    if (!device.active) {
+      return res.status(403).json({ message: "Device is disabled" });
+    }
+
+    req.device = device;
+    next();
+  } catch (err) {
+    console.error("Device auth error:", err.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,57 @@
+// File: backend/models/Device.js
+
+import mongoose from "mongoose";
+
+// A roadside counter (loop detector, camera, radar) allowed to push readings
+const deviceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Device name is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["loop", "camera", "radar", "other"],
+      default: "loop",
+    },
+    road: {
+      type: String,
+      required: [true, "Road is required"], // road code, e.g. "R1"
+      trim: true,
+    },
+    // Default direction for readings that do not name one
+    direction: {
+      type: String,
+      enum: ["inbound", "outbound"],
+      default: null,
+    },
+    // API key = "<keyPrefix>.<secret>"; only the SHA-256 of the whole key is stored
+    keyPrefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Device", deviceSchema);
@@ -0,0 +1,35 @@
+// File: backend/models/Intersection.js
+
+import mongoose from "mongoose";
+
+const intersectionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Intersection code is required"],
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Intersection name is required"],
+      trim: true,
+    },
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        required: [true, "Intersection coordinates are required"],
+        validate: {
+          validator: (v) => v.length === 2 && Math.abs(v[0]) <= 180 && Math.abs(v[1]) <= 90,
+          message: "Coordinates must be [lng, lat]",
+        },
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+intersectionSchema.index({ location: "2dsphere" });
+
+export default mongoose.model("Intersection", intersectionSchema);
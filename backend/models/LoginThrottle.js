@@ -0,0 +1,53 @@
+// File: backend/models/LoginThrottle.js
+
+import mongoose from "mongoose";
+
+// Failed login attempts against one account (key "email:<address>") or from one
+// client address (key "ip:<address>"), whether or not the account exists.
+// Password reset requests are counted under "reset:email:..." and "reset:ip:...".
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: ["email", "ip"],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    // No attempt is checked before this time (progressive delay)
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    // MongoDB drops the record once it no longer throttles anything
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+
+export default mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,20 @@
+// File: backend/models/Notification.js
+
+import mongoose from "mongoose";
+
+// A message for one user, e.g. a new assignment or an overdue incident
+const notificationSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: [true, "Recipient is required"] },
+    type: { type: String, required: [true, "Notification type is required"], trim: true }, // e.g. "assignment", "escalation"
+    title: { type: String, required: [true, "Notification title is required"], trim: true },
+    message: { type: String, trim: true },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "Report", default: null },
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", notificationSchema);
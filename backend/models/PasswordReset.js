@@ -0,0 +1,34 @@
+// File: backend/models/PasswordReset.js
+
+import mongoose from "mongoose";
+
+// A pending password reset; only the SHA-256 of the emailed token is stored
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB drops resets once they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetSchema.index({ user: 1 });
+
+export default mongoose.model("PasswordReset", passwordResetSchema);
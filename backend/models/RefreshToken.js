@@ -0,0 +1,46 @@
+// File: backend/models/RefreshToken.js
+
+import mongoose from "mongoose";
+
+// One refresh token of a login session. Tokens rotate on every refresh; all
+// tokens descended from the same login share a family, so presenting a token
+// that was already rotated revokes the whole session. Only the SHA-256 is stored.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // "rotated", "logout", "reuse", "revoked" (password change, disabled account, admin)
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB drops tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,211 @@
+// File: backend/models/Report.js
+
+import mongoose from "mongoose";
+import { REPORT_STATUSES, CONFIRMED_STATUSES, expiryFor } from "../services/reportWorkflow.js";
+
+export const REPORT_SEVERITIES = ["low", "medium", "high", "critical"];
+export const REPORT_CATEGORIES = ["accident", "congestion", "roadwork", "hazard", "closure", "breakdown", "weather", "other"];
+
+const pointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      validate: {
+        validator: (v) => v.length === 2 && v[0] >= -180 && v[0] <= 180 && v[1] >= -90 && v[1] <= 90,
+        message: "Location must be [lng, lat] within valid ranges",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// One status change; the first entry (from: null) is the report being filed
+const historySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    role: { type: String, default: null },
+    note: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One community vote; the weight is fixed when the vote is cast
+const voteSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    vote: { type: String, enum: ["confirm", "dispute"], required: true },
+    weight: { type: Number, min: 0, required: true },
+    distanceKm: { type: Number, default: null }, // voter's distance from the incident, when known
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One responder's assignment; the current one is the last without endedAt.
+// Due times are fixed from the severity's SLA when the responder is assigned.
+const assignmentSchema = new mongoose.Schema(
+  {
+    responder: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    responderRole: { type: String, required: true },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    assignedAt: { type: Date, default: Date.now },
+    ackDueAt: { type: Date, required: true },
+    arriveDueAt: { type: Date, required: true },
+    acknowledgedAt: { type: Date, default: null },
+    arrivedAt: { type: Date, default: null },
+    ackEscalatedAt: { type: Date, default: null },
+    arriveEscalatedAt: { type: Date, default: null },
+    note: { type: String, trim: true },
+    endedAt: { type: Date, default: null },
+    endReason: { type: String, enum: ["reassigned", "closed"], default: null },
+  },
+  { _id: false }
+);
+
+// A photo or video; the files live in the attachment storage under key / thumbKey
+const attachmentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["image", "video"], required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true }, // bytes as stored
+    key: { type: String, required: true },
+    thumbKey: { type: String, default: null }, // images only
+    width: Number,
+    height: Number,
+    originalName: { type: String, trim: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+attachmentSchema.virtual("url").get(function () {
+  return `/api/reports/${this.ownerDocument()._id}/attachments/${this._id}`;
+});
+
+attachmentSchema.virtual("thumbUrl").get(function () {
+  return this.thumbKey ? `${this.url}?thumb=true` : null;
+});
+
+const reportSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Report title is required"],
+      trim: true,
+      maxlength: [120, "Title cannot exceed 120 characters"],
+    },
+    description: {
+      type: String,
+      required: [true, "Please describe the issue"],
+      trim: true,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    severity: {
+      type: String,
+      enum: { values: REPORT_SEVERITIES, message: "Severity must be one of: " + REPORT_SEVERITIES.join(", ") },
+      default: "medium",
+    },
+    category: {
+      type: String,
+      enum: { values: REPORT_CATEGORIES, message: "Category must be one of: " + REPORT_CATEGORIES.join(", ") },
+      default: "other",
+    },
+    location: { type: pointSchema, default: undefined },
+    address: { type: String, trim: true }, // free-text location as typed by the reporter
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reporterName: { type: String, trim: true }, // display name, also for anonymous reports
+    source: { type: String, enum: ["user", "system", "import"], default: "user" },
+    // Set on system reports raised by the incident detector
+    road: { type: String, default: null },
+    direction: { type: String, enum: ["inbound", "outbound"], default: null },
+    detection: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // Set on imported reports: the partner feed and the event's id in that feed
+    external: {
+      feed: { type: String, trim: true },
+      format: { type: String },
+      id: { type: String, trim: true },
+    },
+    status: {
+      type: String,
+      enum: { values: REPORT_STATUSES, message: "Status must be one of: " + REPORT_STATUSES.join(", ") },
+      default: "new",
+    },
+    history: [historySchema],
+    // Expiry: the planned end (roadworks, closures), when the report lapses and "still there" confirmations
+    endsAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    lastSeenAt: { type: Date, default: null },
+    stillThereCount: { type: Number, default: 0 },
+    votes: [voteSchema],
+    attachments: [attachmentSchema],
+    assignments: [assignmentSchema],
+    // Clustering: duplicates point at the incident report they were merged into
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: "Report", default: null },
+    childCount: { type: Number, default: 0 },
+    confidence: { type: Number, min: 0, max: 1, default: 0.5 },
+    confirmCount: { type: Number, default: 0 },
+    disputeCount: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+    // who voted stays on the server; clients get confirmCount / disputeCount
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.votes;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Kept for clients that only know confirmed / unconfirmed
+reportSchema.virtual("confirmed").get(function () {
+  return CONFIRMED_STATUSES.includes(this.status);
+});
+
+// The responder currently working the incident, or null
+reportSchema.virtual("assignment").get(function () {
+  return (this.assignments || []).find((a) => !a.endedAt) || null;
+});
+
+// A short description doubles as the title
+reportSchema.pre("validate", function () {
+  if (!this.title && this.description) {
+    this.title = this.description.length > 80 ? `${this.description.slice(0, 77)}...` : this.description;
+  }
+});
+
+// Every report is filed as "new"; later changes (even before the first save) follow that entry
+reportSchema.pre("save", function () {
+  if (this.isNew && !this.history.some((h) => h.from === null)) {
+    this.history.unshift({ from: null, to: "new", actor: this.reporter, note: `Reported (${this.source})` });
+  }
+});
+
+// Expiry follows the category's time to live from filing, or the planned end
+reportSchema.pre("save", function () {
+  if (this.isNew || this.isModified("category") || this.isModified("endsAt")) {
+    this.expiresAt = expiryFor(this, this.createdAt || new Date());
+  }
+});
+
+reportSchema.index({ createdAt: -1 });
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ status: 1, expiresAt: 1 });
+reportSchema.index({ "votes.user": 1 });
+reportSchema.index({ duplicateOf: 1 });
+reportSchema.index({ "assignments.responder": 1, status: 1 });
+reportSchema.index(
+  { "external.feed": 1, "external.id": 1 },
+  { unique: true, partialFilterExpression: { "external.id": { $exists: true } } }
+);
+reportSchema.index({ location: "2dsphere" }); // near / bbox / alongRoute queries
+
+export default mongoose.model("Report", reportSchema);
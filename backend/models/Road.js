@@ -0,0 +1,79 @@
+// File: backend/models/Road.js
+
+import mongoose from "mongoose";
+import { polylineLengthKm } from "../services/geo.js";
+
+const lineString = {
+  type: { type: String, enum: ["LineString"], default: "LineString" },
+  coordinates: {
+    type: [[Number]], // [[lng, lat], ...]
+    validate: {
+      validator: (v) => v.length === 0 || (v.length >= 2 && v.every((p) => p.length === 2)),
+      message: "Geometry must be a polyline of at least two [lng, lat] points",
+    },
+  },
+};
+
+// A segment runs between two intersections. Travelling from `from` to `to`
+// (the order of its geometry) is the "inbound" direction, the reverse is "outbound".
+const segmentSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: "Intersection", required: [true, "Segment start is required"] },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: "Intersection", required: [true, "Segment end is required"] },
+  geometry: lineString,
+  lengthKm: { type: Number, min: 0 },
+  // Optional per-segment overrides; the road-level values apply otherwise
+  lanesInbound: { type: Number, min: 0 },
+  lanesOutbound: { type: Number, min: 0 },
+  capacityPerLane: { type: Number, min: 1 },
+  speedLimit: { type: Number, min: 1 },
+});
+
+const roadSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Road code is required"], // e.g. "R1", used as the road id across the API
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Road name is required"],
+      trim: true,
+    },
+    lanesInbound: { type: Number, default: 2, min: [0, "Lane count cannot be negative"] },
+    lanesOutbound: { type: Number, default: 2, min: [0, "Lane count cannot be negative"] },
+    capacityPerLane: { type: Number, default: 1800, min: [1, "Capacity must be positive"] }, // vehicles/hour/lane
+    speedLimit: { type: Number, default: 50, min: [1, "Speed limit must be positive"] }, // km/h
+    geometry: lineString,
+    segments: [segmentSchema],
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Derive segment lengths and the road polyline from segment geometry when not supplied
+roadSchema.methods.deriveGeometry = function () {
+  this.segments.forEach((seg) => {
+    const coords = seg.geometry?.coordinates || [];
+    if (seg.lengthKm == null && coords.length >= 2) seg.lengthKm = +polylineLengthKm(coords).toFixed(3);
+  });
+  if (!this.geometry?.coordinates?.length && this.segments.length) {
+    const coords = [];
+    this.segments.forEach((seg) => {
+      (seg.geometry?.coordinates || []).forEach((p, i) => {
+        if (i === 0 && coords.length) return; // shared joint with previous segment
+        coords.push(p);
+      });
+    });
+    if (coords.length >= 2) this.geometry = { type: "LineString", coordinates: coords };
+  }
+  return this;
+};
+
+roadSchema.pre("validate", function () {
+  this.deriveGeometry();
+});
+
+export default mongoose.model("Road", roadSchema);
@@ -0,0 +1,64 @@
+// File: backend/models/Role.js
+
+import mongoose from "mongoose";
+import { RESPONDER_ROLES } from "./User.js";
+
+// Every permission a role can grant
+export const PERMISSIONS = {
+  "reports:verify": "Verify, reject, merge and close reports",
+  "reports:edit": "Edit or delete any report",
+  "datasets:upload": "Import partner incident feeds",
+  "dispatch:view": "See responders and overdue dispatches",
+  "dispatch:assign": "Assign responders to incidents",
+  "dispatch:respond": "Be assigned to incidents and update them on scene",
+  "feedback:approve": "Review and approve feedback",
+  "network:view": "See roads, intersections and signal plan history",
+  "network:manage": "Edit roads and intersections",
+  "signals:manage": "Override and re-time signal plans",
+  "devices:manage": "Register sensor devices and rotate their keys",
+  "simulation:control": "Reset the traffic simulation and inject incidents",
+  "users:manage": "Disable accounts, revoke sessions, change roles and clear lockouts",
+  "roles:manage": "Edit role definitions",
+};
+
+// Grants every permission; only the built-in admin role has it
+export const ALL_PERMISSIONS = "*";
+
+// Built-in roles. Their permissions can be edited (admin excepted); stored
+// definitions override these and deleting one restores the default.
+export const DEFAULT_ROLES = {
+  admin: { description: "Full access", permissions: [ALL_PERMISSIONS] },
+  user: { description: "Files and votes on reports", permissions: [] },
+  moderator: { description: "Verifies and cleans up reports", permissions: ["reports:verify", "reports:edit", "feedback:approve"] },
+  analyst: { description: "Works with traffic and incident data", permissions: ["network:view", "dispatch:view", "datasets:upload"] },
+  operator: {
+    description: "Runs the road network and signals",
+    permissions: ["network:view", "network:manage", "signals:manage", "devices:manage", "simulation:control"],
+  },
+  ...Object.fromEntries(RESPONDER_ROLES.map((name) => [name, { description: `Field responder (${name})`, permissions: ["dispatch:respond"] }])),
+};
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,31}$/, "Role names are 2-32 letters, digits, - or _, starting with a letter"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    permissions: {
+      type: [{ type: String, enum: { values: Object.keys(PERMISSIONS), message: "Unknown permission {VALUE}" } }],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Role", roleSchema);
@@ -0,0 +1,27 @@
+// File: backend/models/SensorReading.js
+
+import mongoose from "mongoose";
+
+// One detector interval for one lane, as reported by a device
+const sensorReadingSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Device",
+    required: true,
+  },
+  road: { type: String, required: true },
+  direction: { type: String, enum: ["inbound", "outbound"], required: true },
+  lane: { type: Number, required: true, min: 0 },
+  observedAt: { type: Date, required: true }, // device timestamp (end of the interval)
+  intervalSec: { type: Number, default: 60, min: 1, max: 3600 },
+  count: { type: Number, required: true, min: 0 }, // vehicles in the interval
+  speed: { type: Number, min: 0 }, // mean km/h
+  occupancy: { type: Number, min: 0, max: 100 }, // % of the interval the detector was occupied
+  receivedAt: { type: Date, default: Date.now },
+});
+
+// A device re-sending a batch must not double count
+sensorReadingSchema.index({ device: 1, direction: 1, lane: 1, observedAt: 1 }, { unique: true });
+sensorReadingSchema.index({ road: 1, observedAt: -1 });
+
+export default mongoose.model("SensorReading", sensorReadingSchema);
@@ -0,0 +1,54 @@
+// File: backend/models/SignalPlan.js
+
+import mongoose from "mongoose";
+
+// Traffic arriving at the intersection along one road in one direction
+const approachSchema = new mongoose.Schema(
+  {
+    road: { type: String, required: [true, "Approach road is required"], trim: true },
+    direction: { type: String, enum: ["inbound", "outbound"], required: [true, "Approach direction is required"] },
+  },
+  { _id: false }
+);
+
+const phaseSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    approaches: [approachSchema],
+    green: { type: Number, required: [true, "Green time is required"], min: [5, "Green must be at least 5 seconds"] },
+    yellow: { type: Number, default: 3, min: 0 },
+    allRed: { type: Number, default: 1, min: 0 },
+    flowRatio: Number, // critical flow / saturation flow when computed
+  },
+  { _id: false }
+);
+
+// The active signal plan of one intersection
+const signalPlanSchema = new mongoose.Schema(
+  {
+    intersection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Intersection",
+      required: [true, "Intersection is required"],
+      unique: true,
+    },
+    cycleLength: { type: Number, required: true, min: [10, "Cycle must be at least 10 seconds"] },
+    phases: {
+      type: [phaseSchema],
+      validate: { validator: (v) => v.length > 0, message: "A plan needs at least one phase" },
+    },
+    // adaptive plans are re-optimised from observed flows; fixed plans are left alone
+    mode: { type: String, enum: ["adaptive", "fixed"], default: "adaptive" },
+    source: { type: String, enum: ["webster", "manual"], default: "webster" },
+    criticalFlowRatio: Number, // Y in Webster's formula
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+// Cycle length always equals the sum of the phase times
+signalPlanSchema.pre("validate", function () {
+  this.cycleLength = this.phases.reduce((sum, p) => sum + p.green + p.yellow + p.allRed, 0);
+});
+
+export default mongoose.model("SignalPlan", signalPlanSchema);
@@ -0,0 +1,26 @@
+// File: backend/models/SignalPlanChange.js
+
+import mongoose from "mongoose";
+
+// Audit trail of signal plan changes, one entry per applied plan
+const signalPlanChangeSchema = new mongoose.Schema(
+  {
+    intersection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Intersection",
+      required: true,
+    },
+    source: { type: String, enum: ["webster", "manual"], required: true },
+    mode: { type: String, enum: ["adaptive", "fixed"] },
+    cycleLength: Number,
+    phases: { type: Array, default: [] },
+    previous: { type: mongoose.Schema.Types.Mixed, default: null }, // { cycleLength, phases } before the change
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = controller
+    reason: { type: String, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+signalPlanChangeSchema.index({ intersection: 1, createdAt: -1 });
+
+export default mongoose.model("SignalPlanChange", signalPlanChangeSchema);
@@ -0,0 +1,69 @@
+// File: backend/models/TrafficReading.js
+
+import mongoose from "mongoose";
+
+// One sampled state of a road, as served by /api/traffic/state.
+// Volumes are hourly flow rates (vehicles/hour) per direction.
+const trafficReadingSchema = new mongoose.Schema({
+  road: {
+    type: String,
+    required: [true, "Road id is required"],
+    trim: true,
+  },
+  inbound: {
+    type: Number,
+    required: [true, "Inbound volume is required"],
+    min: [0, "Inbound volume cannot be negative"],
+  },
+  outbound: {
+    type: Number,
+    required: [true, "Outbound volume is required"],
+    min: [0, "Outbound volume cannot be negative"],
+  },
+  lanesInbound: {
+    type: Number,
+    default: 2,
+  },
+  lanesOutbound: {
+    type: Number,
+    default: 2,
+  },
+  // Optional detail; present for simulated and sensor readings
+  speedInbound: Number, // km/h
+  speedOutbound: Number,
+  occupancyInbound: Number, // % of time a detector is occupied
+  occupancyOutbound: Number,
+  queueInbound: Number, // vehicles waiting
+  queueOutbound: Number,
+  sampledAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Replay id ("seed@start") of a simulation run off the wall clock; null for real history
+  replay: {
+    type: String,
+    default: null,
+  },
+});
+
+// Readings are kept for TRAFFIC_RETENTION_DAYS (default 35). Forecasts look back
+// 28 days, so shorter settings are raised to that.
+const MIN_RETENTION_DAYS = 28;
+export const retentionDays = () => Math.max(Number(process.env.TRAFFIC_RETENTION_DAYS) || 35, MIN_RETENTION_DAYS);
+const retentionSeconds = () => retentionDays() * 24 * 60 * 60;
+
+// History queries always filter by road and time range; the sampledAt index also expires old readings
+trafficReadingSchema.index({ road: 1, sampledAt: 1 });
+trafficReadingSchema.index({ sampledAt: 1 }, { expireAfterSeconds: retentionSeconds() });
+
+// A TTL is fixed when its index is built: bring the existing index (TTL or not) in line
+// with the current setting. Run once connected.
+trafficReadingSchema.statics.applyRetention = async function () {
+  await this.init().catch(() => {}); // an older plain sampledAt index conflicts with the TTL one
+  await this.db.db.command({
+    collMod: this.collection.collectionName,
+    index: { keyPattern: { sampledAt: 1 }, expireAfterSeconds: retentionSeconds() },
+  });
+};
+
+export default mongoose.model("TrafficReading", trafficReadingSchema);
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Built-in roles for field staff that incidents are dispatched to (see models/Role.js)
+export const RESPONDER_ROLES = ["mechanic", "police", "tow", "ambulance"];
+
 const userSchema = new mongoose.Schema(
   {
     firstName: {
@@ -36,10 +39,30 @@ const userSchema = new mongoose.Schema(
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters long"],
     },
+    // Name of a built-in or stored role (models/Role.js)
     role: {
       type: String,
-      enum: ["user", "admin"],
       default: "user",
+      trim: true,
+    },
+    // false from registration until the owner follows the emailed verification link.
+    // Accounts created before verification existed have no value and count as verified.
+    emailVerified: {
+      type: Boolean,
+    },
+    verificationSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Disabled accounts cannot log in or use their tokens
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
     },
   },
   { timestamps: true }
@@ -2,12 +2,12 @@
 
 import express from "express";
 import Feedback from "../models/Feedback.js"; // note capital F
-import { protect, adminOnly } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // ------------------- GET ALL FEEDBACKS (ADMIN) -------------------
-router.get("/", protect, adminOnly, async (req, res) => {
+router.get("/", protect, requirePermission("feedback:approve"), async (req, res) => {
   try {
     const allFeedback = await Feedback.find().sort({ createdAt: -1 });
     res.status(200).json(allFeedback);
@@ -18,7 +18,7 @@ router.get("/", protect, adminOnly, async (req, res) => {
 });
 
 // ------------------- APPROVE FEEDBACK -------------------
-router.put("/:id/approve", protect, adminOnly, async (req, res) => {
+router.put("/:id/approve", protect, requirePermission("feedback:approve"), async (req, res) => {
   try {
     const feedback = await Feedback.findById(req.params.id);
     if (!feedback) return res.status(404).json({ message: "Feedback not found" });
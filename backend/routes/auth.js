@@ -2,16 +2,23 @@
 
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import multer from "multer";
 import path from "path";
-import User from "../models/Users.js"; // Ensure correct capitalization
+import User from "../models/User.js";
+import { sendResetLink, consumeResetToken } from "../services/passwordReset.js";
+import { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeSessions } from "../services/authTokens.js";
+import { loginAttempt, loginFailed, loginSucceeded, resetRequestAttempt } from "../services/loginThrottle.js";
+import { sendVerificationLink, readVerificationToken, resendWait } from "../services/emailVerification.js";
+import { protect } from "../middleware/authMiddleware.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
 const router = express.Router();
 
+// Compared against when the email is unknown, so both failures take as long
+const DUMMY_HASH = bcrypt.hashSync("no-such-account", 10);
+
 // ------------------- MULTER CONFIG -------------------
 // Store uploaded profile photos in "uploads/" folder
 const storage = multer.diskStorage({
@@ -58,16 +65,20 @@ router.post("/register", upload.single("profilePhoto"), async (req, res) => {
       password: hashedPassword,
       role,
       profilePhoto: req.file ? req.file.filename : null,
+      emailVerified: false,
     });
     await user.save();
 
-    // 6️⃣ Generate JWT
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: "1d" });
+    // 6️⃣ Ask the owner to confirm the address (the account works meanwhile, without reporting)
+    await sendVerificationLink(user).catch((err) => console.error("Verification mail error:", err.message));
+
+    // 7️⃣ Issue access + refresh tokens
+    const tokens = await issueTokens(user);
 
-    // 7️⃣ Return response
+    // 8️⃣ Return response
     res.status(201).json({
-      message: "Registration successful",
-      token,
+      message: "Registration successful. Check your inbox to verify your email address.",
+      ...tokens,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -76,6 +87,7 @@ router.post("/register", upload.single("profilePhoto"), async (req, res) => {
         phone: user.phone,
         role: user.role,
         profilePhoto: user.profilePhoto || null,
+        emailVerified: user.emailVerified !== false,
       },
     });
   } catch (err) {
@@ -87,23 +99,34 @@ router.post("/register", upload.single("profilePhoto"), async (req, res) => {
 // ------------------- LOGIN ROUTE -------------------
 router.post("/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const password = String(req.body?.password || "");
+    if (!email || !password) return res.status(400).json({ message: "Email and password are required" });
 
-    // 1️⃣ Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    // 1️⃣ Count the attempt; refuse while the account or address is throttled
+    const blocked = await loginAttempt(email, req.ip);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({ message: blocked.message, retryAfter: blocked.retryAfter });
+    }
 
-    // 2️⃣ Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: "Invalid email or password" });
+    // 2️⃣ Verify password (unknown emails fail the same way)
+    const user = await User.findOne({ email });
+    const isMatch = await bcrypt.compare(password, user?.password || DUMMY_HASH);
+    if (!user || !isMatch) {
+      await loginFailed(email, req.ip);
+      return res.status(400).json({ message: "Invalid email or password" });
+    }
+    await loginSucceeded(email, req.ip);
+    if (!user.active) return res.status(403).json({ message: "This account has been disabled" });
 
-    // 3️⃣ Generate JWT
-    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: "1d" });
+    // 3️⃣ Issue access + refresh tokens
+    const tokens = await issueTokens(user);
 
     // 4️⃣ Return user info (without password)
     res.status(200).json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -112,6 +135,7 @@ router.post("/login", async (req, res) => {
         phone: user.phone,
         role: user.role,
         profilePhoto: user.profilePhoto || null,
+        emailVerified: user.emailVerified !== false,
       },
     });
   } catch (err) {
@@ -120,4 +144,132 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// ------------------- FORGOT PASSWORD -------------------
+// Same answer whether or not the email is registered, so accounts cannot be probed
+router.post("/forgot", async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    if (!email) return res.status(400).json({ message: "Email is required" });
+
+    const blocked = await resetRequestAttempt(email, req.ip);
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(blocked.status).json({ message: blocked.message, retryAfter: blocked.retryAfter });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendResetLink(user).catch((err) => console.error("Reset mail error:", err.message));
+    }
+    res.status(200).json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (err) {
+    console.error("Forgot Password Error:", err);
+    res.status(500).json({ message: "Server error during password recovery" });
+  }
+});
+
+// ------------------- RESET PASSWORD -------------------
+router.post("/reset", async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body || {};
+
+    // 1️⃣ Validation
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({ message: "Token and new password are required" });
+    }
+    if (password !== confirmPassword) return res.status(400).json({ message: "Passwords do not match" });
+    if (password.length < 6) return res.status(400).json({ message: "Password must be at least 6 characters" });
+
+    // 2️⃣ Use up the token
+    const userId = await consumeResetToken(token);
+    const user = userId && (await User.findById(userId));
+    if (!user) return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    // 3️⃣ Store the new password
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
+
+    // 4️⃣ Sign out every session that used the old password
+    await revokeSessions(user._id);
+
+    res.status(200).json({ message: "Password reset successful" });
+  } catch (err) {
+    console.error("Reset Password Error:", err);
+    res.status(500).json({ message: "Server error during password reset" });
+  }
+});
+
+// ------------------- EMAIL VERIFICATION -------------------
+// POST /api/auth/verify-email { token } – from the link emailed at registration
+router.post("/verify-email", async (req, res) => {
+  try {
+    const claim = req.body?.token && readVerificationToken(req.body.token);
+    const user = claim && (await User.findById(claim.id));
+    if (!user || user.email !== claim.email) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired" });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+    res.status(200).json({ message: "Email address verified", email: user.email });
+  } catch (err) {
+    console.error("Verify Email Error:", err);
+    res.status(500).json({ message: "Server error during email verification" });
+  }
+});
+
+// POST /api/auth/resend-verification – a new link for the signed-in user
+router.post("/resend-verification", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.emailVerified !== false) return res.status(400).json({ message: "Email address is already verified" });
+
+    const wait = resendWait(user);
+    if (wait) {
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({ message: `Please wait ${wait} s before asking for another link`, retryAfter: wait });
+    }
+    await sendVerificationLink(user);
+    res.status(200).json({ message: `Verification link sent to ${user.email}` });
+  } catch (err) {
+    console.error("Resend Verification Error:", err);
+    res.status(500).json({ message: "Server error while sending the verification link" });
+  }
+});
+
+// ------------------- REFRESH TOKENS -------------------
+// POST /api/auth/refresh { refreshToken } – a new access token and a new refresh token
+router.post("/refresh", async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken;
+    if (!refreshToken) return res.status(400).json({ message: "Refresh token is required" });
+
+    const { tokens, error } = await rotateRefreshToken(refreshToken);
+    if (error) return res.status(401).json({ message: error });
+    res.status(200).json(tokens);
+  } catch (err) {
+    console.error("Refresh Error:", err);
+    res.status(500).json({ message: "Server error during token refresh" });
+  }
+});
+
+// POST /api/auth/logout { refreshToken, all } – ends this session, or every session of the user with all=true
+// (only with a refresh token that is still valid)
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ message: "Refresh token is required" });
+
+    const userId = await revokeRefreshToken(refreshToken);
+    if (userId && all) await revokeSessions(userId, "logout");
+    res.status(200).json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout Error:", err);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+});
+
 export default router;
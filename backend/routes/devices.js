@@ -0,0 +1,76 @@
+// File: backend/routes/devices.js
+
+import express from "express";
+import Device from "../models/Device.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { generateDeviceKey } from "../middleware/deviceAuth.js";
+
+const router = express.Router();
+
+const DEVICE_FIELDS = ["name", "type", "road", "direction", "active"];
+const pick = (body) => Object.fromEntries(DEVICE_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+// ------------------- LIST DEVICES -------------------
+router.get("/", protect, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    res.status(200).json(await Device.find().sort({ createdAt: -1 }));
+  } catch (err) {
+    console.error("Failed to fetch devices:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- REGISTER DEVICE -------------------
+// The API key is only ever returned here and on rotation
+router.post("/", protect, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const { key, keyPrefix, keyHash } = generateDeviceKey();
+    const device = await Device.create({ ...pick(req.body), keyPrefix, keyHash, createdBy: req.user.id });
+    res.status(201).json({ message: "Device registered", device, apiKey: key });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    console.error("Failed to register device:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- UPDATE DEVICE -------------------
+router.put("/:id", protect, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const device = await Device.findByIdAndUpdate(req.params.id, pick(req.body), { new: true, runValidators: true });
+    if (!device) return res.status(404).json({ message: "Device not found" });
+    res.status(200).json(device);
+  } catch (err) {
+    if (err.name === "ValidationError" || err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Failed to update device:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- ROTATE KEY -------------------
+// The old key stops working immediately
+router.post("/:id/rotate-key", protect, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const { key, keyPrefix, keyHash } = generateDeviceKey();
+    const device = await Device.findByIdAndUpdate(req.params.id, { keyPrefix, keyHash }, { new: true });
+    if (!device) return res.status(404).json({ message: "Device not found" });
+    res.status(200).json({ message: "Device key rotated", device, apiKey: key });
+  } catch (err) {
+    console.error("Failed to rotate device key:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- DELETE DEVICE -------------------
+router.delete("/:id", protect, requirePermission("devices:manage"), async (req, res) => {
+  try {
+    const device = await Device.findByIdAndDelete(req.params.id);
+    if (!device) return res.status(404).json({ message: "Device not found" });
+    res.status(200).json({ message: "Device deleted" });
+  } catch (err) {
+    console.error("Failed to delete device:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+// File: backend/routes/dispatch.js
+
+import express from "express";
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { hasPermission, rolesWith } from "../services/permissions.js";
+import { ASSIGNED_STATUSES } from "../services/reportWorkflow.js";
+import {
+  SLA_DEFAULTS,
+  slaFor,
+  slaStatus,
+  responderProblem,
+  findResponder,
+  assignResponder,
+  acknowledge,
+  arrive,
+  findOverdue,
+} from "../services/dispatch.js";
+
+const router = express.Router();
+
+const ASSIGNABLE_STATUSES = ["verified", ...ASSIGNED_STATUSES];
+const QUEUE_FIELDS = "title description severity category status location address road direction assignments createdAt";
+
+const sendError = (res, err, action) => {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(`Failed to ${action}:`, err);
+  return res.status(500).json({ message: "Server error" });
+};
+
+// An incident with its current assignment's SLA state
+const withSla = (report) => ({ ...report.toJSON(), sla: slaStatus(report.assignment) });
+
+const loadReport = async (req, res, next) => {
+  try {
+    req.report = await Report.findById(req.params.id);
+    if (!req.report) return res.status(404).json({ message: "Report not found" });
+    next();
+  } catch (err) {
+    sendError(res, err, "fetch report");
+  }
+};
+
+// ------------------- SLA -------------------
+// Minutes to acknowledge / arrive per severity, as currently configured
+router.get("/sla", protect, (req, res) => {
+  res.json(Object.fromEntries(Object.keys(SLA_DEFAULTS).map((severity) => [severity, slaFor(severity)])));
+});
+
+// ------------------- RESPONDERS -------------------
+// Users with a responder role and how many incidents each is working
+router.get("/responders", protect, requirePermission("dispatch:assign", "dispatch:view"), async (req, res) => {
+  try {
+    const { role } = req.query;
+    const responderRoles = await rolesWith("dispatch:respond");
+    if (role && !responderRoles.includes(role)) return res.status(400).json({ message: "Unknown responder role" });
+
+    const [responders, load] = await Promise.all([
+      User.find({ role: role || { $in: responderRoles }, active: { $ne: false } }).select("firstName lastName email phone role").lean(),
+      Report.aggregate([
+        { $match: { status: { $in: ASSIGNED_STATUSES } } },
+        { $unwind: "$assignments" },
+        { $match: { "assignments.endedAt": null } },
+        { $group: { _id: "$assignments.responder", active: { $sum: 1 } } },
+      ]),
+    ]);
+    const active = new Map(load.map((l) => [String(l._id), l.active]));
+    res.status(200).json(responders.map((r) => ({ ...r, activeIncidents: active.get(String(r._id)) || 0 })));
+  } catch (err) {
+    sendError(res, err, "fetch responders");
+  }
+});
+
+// ------------------- QUEUE -------------------
+// GET /api/dispatch/queue – the caller's open incidents, most severe and oldest first
+// Dispatchers may pass ?responder=<userId>, or leave it out to see every dispatched incident
+router.get("/queue", protect, async (req, res) => {
+  try {
+    const dispatcher = hasPermission(req.user, "dispatch:assign") || hasPermission(req.user, "dispatch:view");
+    if (!dispatcher && !hasPermission(req.user, "dispatch:respond")) {
+      return res.status(403).json({ message: "Responder access only" });
+    }
+    const responder = dispatcher ? req.query.responder : req.user.id;
+    const filter = { status: { $in: ASSIGNED_STATUSES } };
+    if (responder) filter.assignments = { $elemMatch: { responder, endedAt: null } };
+
+    const severityRank = { critical: 0, high: 1, medium: 2, low: 3 };
+    const reports = await Report.find(filter).select(QUEUE_FIELDS).sort({ createdAt: 1 });
+    reports.sort((a, b) => severityRank[a.severity] - severityRank[b.severity]);
+    res.status(200).json(reports.map(withSla));
+  } catch (err) {
+    sendError(res, err, "fetch dispatch queue");
+  }
+});
+
+// Incidents whose responder is past an SLA step, escalated or not
+router.get("/overdue", protect, requirePermission("dispatch:assign", "dispatch:view"), async (req, res) => {
+  try {
+    const reports = await findOverdue(new Date(), { includeEscalated: true }).select(QUEUE_FIELDS);
+    res.status(200).json(reports.map(withSla));
+  } catch (err) {
+    sendError(res, err, "fetch overdue incidents");
+  }
+});
+
+// ------------------- ASSIGNMENT -------------------
+// POST /api/dispatch/reports/:id/assign { responder, note } – assigns or reassigns; verified incidents become dispatched
+router.post("/reports/:id/assign", protect, requirePermission("dispatch:assign"), loadReport, async (req, res) => {
+  try {
+    const { report } = req;
+    if (!ASSIGNABLE_STATUSES.includes(report.status)) {
+      return res.status(400).json({ message: `A ${report.status} incident cannot be assigned; verify it first` });
+    }
+    const { responder, status, message } = await findResponder(req.body.responder);
+    if (!responder) return res.status(status).json({ message });
+
+    await assignResponder(report, responder, req.user, req.body.note);
+    await report.save();
+    res.status(200).json(withSla(report));
+  } catch (err) {
+    sendError(res, err, "assign report");
+  }
+});
+
+// The assigned responder has seen the incident
+router.post("/reports/:id/acknowledge", protect, loadReport, async (req, res) => {
+  try {
+    const problem = responderProblem(req.report, req.user);
+    if (problem) return res.status(problem.status).json({ message: problem.message });
+
+    acknowledge(req.report);
+    await req.report.save();
+    res.status(200).json(withSla(req.report));
+  } catch (err) {
+    sendError(res, err, "acknowledge report");
+  }
+});
+
+// The assigned responder is at the scene
+router.post("/reports/:id/arrive", protect, loadReport, async (req, res) => {
+  try {
+    const problem = responderProblem(req.report, req.user);
+    if (problem) return res.status(problem.status).json({ message: problem.message });
+
+    arrive(req.report, req.user, req.body?.note);
+    await req.report.save();
+    res.status(200).json(withSla(req.report));
+  } catch (err) {
+    sendError(res, err, "record arrival for report");
+  }
+});
+
+export default router;
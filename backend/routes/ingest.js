@@ -0,0 +1,97 @@
+// File: backend/routes/ingest.js
+
+import express from "express";
+import SensorReading from "../models/SensorReading.js";
+import { deviceAuth } from "../middleware/deviceAuth.js";
+import { applyReadings } from "../services/sensorState.js";
+
+const router = express.Router();
+
+const MAX_BATCH = 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // device clocks may run slightly ahead
+
+// Validate one reading from a batch; returns [reading, null] or [null, reason]
+const parseReading = (raw, device, now) => {
+  if (!raw || typeof raw !== "object") return [null, "Reading must be an object"];
+
+  const direction = raw.direction || device.direction;
+  if (!["inbound", "outbound"].includes(direction)) return [null, "direction must be 'inbound' or 'outbound'"];
+
+  const lane = Number(raw.lane ?? 0);
+  if (!Number.isInteger(lane) || lane < 0) return [null, "lane must be a non-negative integer"];
+
+  const observedAt = new Date(raw.timestamp);
+  if (isNaN(observedAt.getTime())) return [null, "timestamp is missing or invalid"];
+  if (observedAt.getTime() > now + MAX_CLOCK_SKEW_MS) return [null, "timestamp is in the future"];
+
+  const count = Number(raw.count);
+  if (!Number.isFinite(count) || count < 0) return [null, "count must be a non-negative number"];
+
+  const intervalSec = Number(raw.intervalSec ?? 60);
+  if (!Number.isFinite(intervalSec) || intervalSec < 1 || intervalSec > 3600) return [null, "intervalSec must be between 1 and 3600"];
+
+  const reading = { device: device._id, road: device.road, direction, lane, observedAt, intervalSec, count };
+
+  if (raw.speed != null) {
+    const speed = Number(raw.speed);
+    if (!Number.isFinite(speed) || speed < 0) return [null, "speed must be a non-negative number"];
+    reading.speed = speed;
+  }
+  if (raw.occupancy != null) {
+    const occupancy = Number(raw.occupancy);
+    if (!Number.isFinite(occupancy) || occupancy < 0 || occupancy > 100) return [null, "occupancy must be between 0 and 100"];
+    reading.occupancy = occupancy;
+  }
+  return [reading, null];
+};
+
+// ------------------- INGEST READINGS -------------------
+// POST /api/ingest/readings  (X-Device-Key: <key>)
+// { readings: [{ lane, direction, timestamp, count, speed, occupancy, intervalSec }] }
+// Re-sent readings are ignored, late readings are stored but never replace newer live values.
+router.post("/readings", deviceAuth, async (req, res) => {
+  try {
+    const { readings } = req.body;
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return res.status(400).json({ message: "readings must be a non-empty array" });
+    }
+    if (readings.length > MAX_BATCH) {
+      return res.status(413).json({ message: `A batch may contain at most ${MAX_BATCH} readings` });
+    }
+
+    const now = Date.now();
+    const valid = [];
+    const rejected = [];
+    readings.forEach((raw, index) => {
+      const [reading, reason] = parseReading(raw, req.device, now);
+      if (reading) valid.push(reading);
+      else rejected.push({ index, reason });
+    });
+
+    let stored = [];
+    let duplicates = 0;
+    if (valid.length) {
+      try {
+        stored = await SensorReading.insertMany(valid, { ordered: false });
+      } catch (err) {
+        // ordered:false keeps inserting past duplicate-key errors; anything else is a real failure
+        const writeErrors = err.writeErrors || [];
+        if (err.code !== 11000 && !writeErrors.length) throw err;
+        if (writeErrors.some((e) => (e.code ?? e.err?.code) !== 11000)) throw err;
+        duplicates = writeErrors.length;
+        stored = err.insertedDocs || [];
+      }
+    }
+
+    applyReadings(stored.map((d) => (d.toObject ? d.toObject() : d)));
+    req.device.lastSeenAt = new Date();
+    await req.device.save();
+
+    res.status(200).json({ accepted: valid.length - duplicates, duplicates, rejected });
+  } catch (err) {
+    console.error("Sensor ingestion error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
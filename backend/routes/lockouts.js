@@ -0,0 +1,35 @@
+// File: backend/routes/lockouts.js
+
+import express from "express";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { listThrottles, clearThrottle } from "../services/loginThrottle.js";
+
+const router = express.Router();
+
+// ------------------- LIST LOCKOUTS (ADMIN) -------------------
+// Accounts ("email:...") and addresses ("ip:...") with recent failed logins; locked marks active lockouts
+router.get("/", protect, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const now = new Date();
+    const throttles = await listThrottles(now);
+    res.status(200).json(throttles.map((t) => ({ ...t.toJSON(), locked: t.lockedUntil > now })));
+  } catch (err) {
+    console.error("Failed to fetch lockouts:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- CLEAR LOCKOUT (ADMIN) -------------------
+router.delete("/:id", protect, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const removed = await clearThrottle(req.params.id);
+    if (!removed) return res.status(404).json({ message: "Lockout not found" });
+    res.status(200).json({ message: `Cleared ${removed.key}` });
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Failed to clear lockout:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
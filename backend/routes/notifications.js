@@ -0,0 +1,57 @@
+// File: backend/routes/notifications.js
+
+import express from "express";
+import Notification from "../models/Notification.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+// ------------------- LIST -------------------
+// GET /api/notifications?unread=true&limit=50 – the caller's notifications, newest first
+router.get("/", protect, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.unread === "true") filter.readAt = null;
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_LIMIT);
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user.id, readAt: null }),
+    ]);
+    res.status(200).json({ notifications, unread });
+  } catch (err) {
+    console.error("Failed to fetch notifications:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- MARK AS READ -------------------
+router.post("/read-all", protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user.id, readAt: null }, { readAt: new Date() });
+    res.status(200).json({ updated: result.modifiedCount });
+  } catch (err) {
+    console.error("Failed to update notifications:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/:id/read", protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    if (!notification) return res.status(404).json({ message: "Notification not found" });
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.status(200).json(notification);
+  } catch (err) {
+    if (err.name === "CastError") return res.status(400).json({ message: err.message });
+    console.error("Failed to update notification:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
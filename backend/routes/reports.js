@@ -0,0 +1,661 @@
+// File: backend/routes/reports.js
+
+import express from "express";
+import fs from "fs";
+import multer from "multer";
+import Report, { REPORT_SEVERITIES, REPORT_CATEGORIES } from "../models/Report.js";
+import { protect, requirePermission, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import {
+  REPORT_STATUSES,
+  CONFIRMED_STATUSES,
+  TRANSITIONS,
+  TRANSITION_PERMISSIONS,
+  checkTransition,
+  applyTransition,
+  EXPIRING_STATUSES,
+} from "../services/reportWorkflow.js";
+import { castVote } from "../services/reportConfidence.js";
+import { clusterNewReport, mergeProblem, mergeInto, splitFromIncident, releaseCluster } from "../services/reportClustering.js";
+import { haversineKm, distanceToPolylineKm } from "../services/geo.js";
+import { attachmentLimits, attachmentKind, checkUpload, storeAttachment, removeAttachment } from "../services/reportMedia.js";
+import { getStorage } from "../services/attachmentStorage.js";
+import { toGeoJSON, toCSV, toKML } from "../services/reportExport.js";
+import { IMPORT_FORMATS, detectFormat, parseFeed, importRecords } from "../services/reportImport.js";
+import { stillThere } from "../services/reportExpiry.js";
+import { findResponder, assignResponder } from "../services/dispatch.js";
+import { hasPermission, loadRoles } from "../services/permissions.js";
+
+const router = express.Router();
+
+const REPORT_FIELDS = ["title", "description", "severity", "category", "address", "endsAt"];
+const MAX_LIMIT = 500;
+const VOTING_STATUSES = ["new", "verified", "dispatched", "on-scene"]; // the incident is still live
+const DEFAULT_RADIUS_M = 1000;
+const DEFAULT_BUFFER_M = 250;
+const MAX_DISTANCE_M = 50000;
+const MAX_ROUTE_CANDIDATES = 5000;
+const MAX_EXPORT = 10000;
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: "application/geo+json", extension: "geojson", serialize: (reports) => JSON.stringify(toGeoJSON(reports)) },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", serialize: toCSV },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml", serialize: toKML },
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const pick = (body) => Object.fromEntries(REPORT_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+// Accepts a GeoJSON point or { lat, lng }; undefined when absent, null when unusable
+const toPoint = (location) => {
+  if (location === undefined || location === null || location === "") return undefined;
+  if (Array.isArray(location.coordinates)) return { type: "Point", coordinates: location.coordinates.map(Number) };
+  const lat = Number(location.lat);
+  const lng = Number(location.lng ?? location.lon);
+  if (location.lat === undefined || Number.isNaN(lat) || Number.isNaN(lng)) return null;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// Body fields of a create/update; returns { error } on bad input
+const reportInput = (body) => {
+  const input = pick(body);
+  // older clients send the text as "message"
+  if (input.description === undefined && body.message !== undefined) input.description = body.message;
+  const location = toPoint(body.location);
+  if (location === null) return { error: "Location must be a GeoJSON point or { lat, lng }" };
+  if (location) input.location = location;
+  return { input };
+};
+
+// "lat,lng" as a GeoJSON [lng, lat] pair, or null
+const parseLatLng = (text) => {
+  const [lat, lng] = String(text).split(",").map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lng, lat];
+};
+
+// Metres from a query parameter, within (0, MAX_DISTANCE_M]
+const parseMetres = (value, fallback) => {
+  const metres = value === undefined || value === "" ? fallback : Number(value);
+  return metres > 0 && metres <= MAX_DISTANCE_M ? metres : null;
+};
+
+// Rectangle [minLng, minLat, maxLng, maxLat] as a $geoWithin filter
+const withinBox = ([minLng, minLat, maxLng, maxLat]) => {
+  [minLng, maxLng] = [Math.max(minLng, -180), Math.min(maxLng, 180)];
+  [minLat, maxLat] = [Math.max(minLat, -90), Math.min(maxLat, 90)];
+  // a polygon spanning half the globe or more is ambiguous on a sphere; such a view sees every longitude anyway
+  if (maxLng - minLng >= 180) return { "location.coordinates.1": { $gte: minLat, $lte: maxLat } };
+  const ring = [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+  return { location: { $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } } } };
+};
+
+/**
+ * Location filter from the near / bbox / alongRoute query parameters
+ *   near=lat,lng&radius=metres             – nearest first
+ *   bbox=minLng,minLat,maxLng,maxLat       – e.g. the visible map
+ *   alongRoute=lat,lng;lat,lng;...&buffer=metres
+ * Returns { filter, center?, route? } or { error }
+ */
+const spatialQuery = (query) => {
+  const given = ["near", "bbox", "alongRoute"].filter((k) => query[k] !== undefined);
+  if (given.length > 1) return { error: "Use only one of near, bbox or alongRoute" };
+
+  if (query.near !== undefined) {
+    const center = parseLatLng(query.near);
+    if (!center) return { error: "near must be lat,lng" };
+    const radius = parseMetres(query.radius, DEFAULT_RADIUS_M);
+    if (!radius) return { error: `radius must be between 0 and ${MAX_DISTANCE_M} metres` };
+    return { filter: { location: { $nearSphere: { $geometry: { type: "Point", coordinates: center }, $maxDistance: radius } } }, center };
+  }
+
+  if (query.bbox !== undefined) {
+    const bbox = String(query.bbox).split(",").map(Number);
+    if (bbox.length !== 4 || bbox.some((n) => !Number.isFinite(n)) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+      return { error: "bbox must be minLng,minLat,maxLng,maxLat" };
+    }
+    return { filter: withinBox(bbox) };
+  }
+
+  if (query.alongRoute !== undefined) {
+    const line = String(query.alongRoute).split(";").map(parseLatLng);
+    if (line.length < 2 || line.some((p) => !p)) return { error: "alongRoute must be lat,lng;lat,lng;..." };
+    const buffer = parseMetres(query.buffer, DEFAULT_BUFFER_M);
+    if (!buffer) return { error: `buffer must be between 0 and ${MAX_DISTANCE_M} metres` };
+
+    // candidates come from the route's bounding box grown by the buffer; the exact corridor is checked after
+    const lats = line.map((p) => p[1]);
+    const padLat = buffer / 111320;
+    const padLng = padLat / Math.max(Math.cos((Math.max(...lats.map(Math.abs)) * Math.PI) / 180), 0.01);
+    const lngs = line.map((p) => p[0]);
+    const box = [Math.min(...lngs) - padLng, Math.min(...lats) - padLat, Math.max(...lngs) + padLng, Math.max(...lats) + padLat];
+    return { filter: withinBox(box), route: { line, km: buffer / 1000 } };
+  }
+
+  return { filter: {} };
+};
+
+/**
+ * Filter for the list and export endpoints from their query parameters
+ * Returns { filter, spatial } or { error }
+ */
+const listQuery = (query) => {
+  const { category, severity, confirmed, source, status } = query;
+  const spatial = spatialQuery(query);
+  if (spatial.error) return { error: spatial.error };
+  const filter = { ...spatial.filter };
+
+  if (query.includeDuplicates !== "true") filter.duplicateOf = null;
+  if (status) {
+    const statuses = String(status).split(",");
+    if (statuses.some((st) => !REPORT_STATUSES.includes(st))) return { error: "Unknown status" };
+    filter.status = { $in: statuses };
+    if (statuses.includes("duplicate")) delete filter.duplicateOf;
+  } else if (confirmed !== undefined) {
+    filter.status = confirmed === "true" ? { $in: CONFIRMED_STATUSES } : { $nin: CONFIRMED_STATUSES };
+  }
+  if (category) {
+    if (!REPORT_CATEGORIES.includes(category)) return { error: "Unknown category" };
+    filter.category = category;
+  }
+  if (severity) {
+    const severities = String(severity).split(",");
+    if (severities.some((sv) => !REPORT_SEVERITIES.includes(sv))) return { error: "Unknown severity" };
+    filter.severity = { $in: severities };
+  }
+  if (source) filter.source = source;
+
+  for (const [param, op] of [["from", "$gte"], ["to", "$lte"]]) {
+    if (query[param] === undefined) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) return { error: `${param} must be a date` };
+    filter.createdAt = { ...filter.createdAt, [op]: date };
+  }
+  return { filter, spatial };
+};
+
+/**
+ * Run a listQuery(): newest first (nearest first for near=), trimmed to the corridor for alongRoute=
+ * @returns {Promise<Object[]>} plain reports, with distanceKm for near / alongRoute
+ */
+const findReports = async ({ filter, spatial }, limit) => {
+  const query = Report.find(filter).select("-history -votes").limit(spatial.route ? Math.max(limit, MAX_ROUTE_CANDIDATES) : limit);
+  if (!spatial.center) query.sort({ createdAt: -1 }); // $nearSphere already sorts by distance
+  const reports = await query;
+
+  if (spatial.center) {
+    return reports.map((r) => ({ ...r.toJSON(), distanceKm: round2(haversineKm(spatial.center, r.location.coordinates)) }));
+  }
+  if (spatial.route) {
+    const { line, km } = spatial.route;
+    return reports
+      .map((r) => ({ report: r, distanceKm: distanceToPolylineKm(r.location.coordinates, line) }))
+      .filter((a) => a.distanceKm <= km)
+      .slice(0, limit)
+      .map((a) => ({ ...a.report.toJSON(), distanceKm: round2(a.distanceKm) }));
+  }
+  return reports.map((r) => r.toJSON());
+};
+
+const canEdit = (user, report) => hasPermission(user, "reports:edit") || (report.reporter && String(report.reporter) === String(user.id));
+
+const sendError = (res, err, action) => {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(`Failed to ${action} report:`, err);
+  return res.status(500).json({ message: "Server error" });
+};
+
+// Merge a loaded report (req.report) into the incident with id `incidentId` and answer with it
+const merge = async (req, res, incidentId, note) => {
+  if (!incidentId) return res.status(400).json({ message: "The incident to merge into is required" });
+  const incident = await Report.findById(incidentId);
+  if (!incident) return res.status(404).json({ message: "Incident not found" });
+  const problem = mergeProblem(req.report, incident);
+  if (problem) return res.status(400).json({ message: problem });
+
+  await mergeInto(req.report, incident, req.user, note);
+  await req.report.save();
+  res.status(200).json(req.report);
+};
+
+// Dispatch a loaded report (req.report) by assigning a responder, as POST /api/dispatch/reports/:id/assign does
+const dispatchTo = async (req, res, responderId, note) => {
+  if (!hasPermission(req.user, "dispatch:assign")) return res.status(403).json({ message: "Your role cannot assign responders" });
+  if (!TRANSITIONS[req.report.status].includes("dispatched")) {
+    return res.status(400).json({ message: `A ${req.report.status} report cannot become dispatched` });
+  }
+  const { responder, status, message } = await findResponder(responderId);
+  if (!responder) return res.status(status).json({ message });
+
+  await assignResponder(req.report, responder, req.user, note);
+  await req.report.save();
+  res.status(200).json(req.report);
+};
+
+// Move a loaded report (req.report) to `to` and answer with it.
+// Dispatching needs an assigned responder, or `responder` to assign on the way.
+const transition = async (req, res, to, note, duplicateOf, responder) => {
+  if (to === "dispatched" && responder && !req.report.assignment) return dispatchTo(req, res, responder, note);
+  const denied = checkTransition(req.report, to, req.user);
+  if (denied) return res.status(denied.status).json({ message: denied.message });
+  if (to === "duplicate") return merge(req, res, duplicateOf, note);
+
+  if (req.report.duplicateOf) await splitFromIncident(req.report, req.user, note);
+  else applyTransition(req.report, to, req.user, note);
+  await req.report.save();
+  res.status(200).json(req.report);
+};
+
+// Only the reporter or an admin may change the loaded report (req.report)
+const requireEditor = (req, res, next) => {
+  if (!canEdit(req.user, req.report)) return res.status(403).json({ message: "Not allowed to edit this report" });
+  next();
+};
+
+// Multipart "files" fields into req.files, streamed to temporary files that are removed once
+// the response is sent; limits come from reportMedia
+const receiveFiles = (req, res, next) => {
+  const { imageBytes, videoBytes, perUpload } = attachmentLimits();
+  res.on("close", () => (req.files || []).forEach((file) => fs.promises.rm(file.path, { force: true }).catch(() => {})));
+  const upload = multer({
+    storage: multer.diskStorage({}),
+    limits: { fileSize: Math.max(imageBytes, videoBytes), files: perUpload },
+    // unsupported types are refused before they are written; per-kind sizes are checked once the file is in
+    fileFilter: (req, file, cb) =>
+      attachmentKind(file.mimetype) ? cb(null, true) : cb(Object.assign(new Error(checkUpload(file).message), { status: 415 })),
+  }).array("files");
+
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Files cannot exceed ${Math.max(imageBytes, videoBytes) / 1024 / 1024} MB` });
+    }
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === "LIMIT_FILE_COUNT") return res.status(400).json({ message: `At most ${perUpload} files per upload` });
+    if (err instanceof multer.MulterError) return res.status(400).json({ message: err.message });
+    sendError(res, err, "upload to");
+  });
+};
+
+const loadReport = async (req, res, next) => {
+  try {
+    req.report = await Report.findById(req.params.id);
+    if (!req.report) return res.status(404).json({ message: "Report not found" });
+    next();
+  } catch (err) {
+    sendError(res, err, "fetch");
+  }
+};
+
+// ------------------- WORKFLOW -------------------
+// Statuses, allowed next statuses, and the permissions and roles allowed to set each one
+router.get("/workflow", async (req, res) => {
+  try {
+    const roles = [...(await loadRoles()).values()];
+    const rolesFor = (to) =>
+      roles.filter((r) => TRANSITION_PERMISSIONS[to].some((p) => hasPermission(r, p))).map((r) => r.name);
+    res.json({
+      statuses: REPORT_STATUSES,
+      transitions: TRANSITIONS,
+      permissions: TRANSITION_PERMISSIONS,
+      roles: Object.fromEntries(REPORT_STATUSES.map((to) => [to, rolesFor(to)])),
+    });
+  } catch (err) {
+    sendError(res, err, "fetch workflow");
+  }
+});
+
+// ------------------- LIST REPORTS -------------------
+// GET /api/reports?status=new,verified&category=accident&severity=high&confirmed=false&source=user&limit=100
+// plus from= / to= (dates) and one of near=lat,lng&radius=, bbox= or alongRoute=&buffer= (see spatialQuery);
+// near and alongRoute add distanceKm
+// Duplicates are folded into their incident unless asked for (status=duplicate or includeDuplicates=true)
+router.get("/", async (req, res) => {
+  try {
+    const { error, ...query } = listQuery(req.query);
+    if (error) return res.status(400).json({ message: error });
+    res.status(200).json(await findReports(query, Math.min(Number(req.query.limit) || 100, MAX_LIMIT)));
+  } catch (err) {
+    console.error("Failed to fetch reports:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- EXPORT -------------------
+// GET /api/reports/export?format=geojson|csv|kml plus the list filters; up to MAX_EXPORT reports
+router.get("/export", async (req, res) => {
+  try {
+    const format = String(req.query.format || "geojson").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+    }
+    const { error, ...query } = listQuery(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const reports = await findReports(query, Math.min(Number(req.query.limit) || MAX_EXPORT, MAX_EXPORT));
+    const { contentType, extension, serialize } = EXPORT_FORMATS[format];
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "");
+    res.set({ "Content-Type": contentType, "Content-Disposition": `attachment; filename="incidents-${stamp}.${extension}"` });
+    res.status(200).send(serialize(reports));
+  } catch (err) {
+    console.error("Failed to export reports:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- IMPORT -------------------
+// POST /api/reports/import (multipart: "file", optional "format" and "agency")
+// Answers with a summary: created / updated / unchanged / duplicates (clustered into existing incidents),
+// skipped (created meanwhile by a concurrent import) and rejected records
+const uploadFeed = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES, files: 1 } }).single("file");
+const receiveFeed = (req, res, next) =>
+  uploadFeed(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Feed files cannot exceed ${MAX_IMPORT_BYTES / 1024 / 1024} MB` });
+    }
+    res.status(400).json({ message: err.message });
+  });
+
+router.post("/import", protect, requirePermission("datasets:upload"), receiveFeed, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded (use the "file" field)' });
+    const content = req.file.buffer.toString("utf8");
+    const format = req.body.format || detectFormat(content);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Could not tell the feed format; pass format as one of: ${IMPORT_FORMATS.join(", ")}` });
+    }
+
+    let records;
+    try {
+      records = parseFeed(content, format);
+    } catch (err) {
+      return res.status(400).json({ message: `Invalid ${format} file: ${err.message}` });
+    }
+    const feed = String(req.body.agency || "").trim() || format;
+    res.status(200).json(await importRecords(records, { format, feed }));
+  } catch (err) {
+    console.error("Failed to import reports:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- GET REPORT -------------------
+router.get("/:id", async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select("-votes");
+    if (!report) return res.status(404).json({ message: "Report not found" });
+    res.status(200).json(report);
+  } catch (err) {
+    sendError(res, err, "fetch");
+  }
+});
+
+// ------------------- CREATE REPORT -------------------
+// Only signed-in users with a verified email address may report; they are recorded as the reporter
+router.post("/", protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { input, error } = reportInput(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const report = new Report({
+      ...input,
+      reporter: req.user.id,
+      reporterName: req.body.reporterName || req.body.reportedBy,
+      source: "user",
+    });
+    await report.validate();
+    await clusterNewReport(report);
+    await report.save();
+    res.status(201).json(report);
+  } catch (err) {
+    sendError(res, err, "create");
+  }
+});
+
+// ------------------- UPDATE REPORT -------------------
+// The reporter can correct their report; admins can edit any report
+router.put("/:id", protect, loadReport, requireEditor, async (req, res) => {
+  try {
+    const { report } = req;
+    const { input, error } = reportInput(req.body);
+    if (error) return res.status(400).json({ message: error });
+    report.set(input);
+    await report.save();
+    res.status(200).json(report);
+  } catch (err) {
+    sendError(res, err, "update");
+  }
+});
+
+// ------------------- DELETE REPORT -------------------
+router.delete("/:id", protect, loadReport, async (req, res) => {
+  try {
+    if (!canEdit(req.user, req.report)) return res.status(403).json({ message: "Not allowed to delete this report" });
+
+    // Duplicates filed against this report are handed to a new incident first
+    await releaseCluster(req.report, req.user);
+    await req.report.deleteOne();
+    await Promise.all(req.report.attachments.map(removeAttachment));
+    res.status(200).json({ message: "Report deleted" });
+  } catch (err) {
+    sendError(res, err, "delete");
+  }
+});
+
+// ------------------- ATTACHMENTS -------------------
+// POST /api/reports/:id/attachments (multipart, one or more "files")
+// Answers with the report's attachments and, when a photo carries GPS tags, a suggestedLocation { lat, lng }
+router.post("/:id/attachments", protect, requireVerifiedEmail, loadReport, requireEditor, receiveFiles, async (req, res) => {
+  const stored = [];
+  try {
+    const { report } = req;
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ message: 'No files uploaded (use the "files" field)' });
+    const { perReport } = attachmentLimits();
+    if (report.attachments.length + files.length > perReport) {
+      return res.status(400).json({ message: `A report can have at most ${perReport} attachments` });
+    }
+    for (const file of files) {
+      const problem = checkUpload(file);
+      if (problem) return res.status(problem.status).json({ message: problem.message });
+    }
+
+    let suggested = null;
+    for (const file of files) {
+      const result = await storeAttachment(report._id, file, req.user);
+      if (result.error) {
+        await Promise.all(stored.map(removeAttachment));
+        return res.status(result.status).json({ message: result.error });
+      }
+      stored.push(result.attachment);
+      suggested = suggested || result.gps;
+    }
+
+    report.attachments.push(...stored);
+    await report.save();
+    res.status(201).json({
+      attachments: report.attachments,
+      suggestedLocation: suggested && { lat: suggested[1], lng: suggested[0] },
+    });
+  } catch (err) {
+    await Promise.all(stored.map(removeAttachment));
+    sendError(res, err, "upload to");
+  }
+});
+
+// GET /api/reports/:id/attachments/:attachmentId[?thumb=true] – the file itself
+router.get("/:id/attachments/:attachmentId", loadReport, (req, res) => {
+  try {
+    const attachment = req.report.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+    const thumb = req.query.thumb === "true" && attachment.thumbKey;
+
+    const stream = getStorage().get(thumb ? attachment.thumbKey : attachment.key);
+    stream.on("error", () => {
+      if (!res.headersSent) res.status(404).json({ message: "Attachment file is missing" });
+      else res.end();
+    });
+    res.set({
+      "Content-Type": thumb ? "image/webp" : attachment.contentType,
+      "Cache-Control": "public, max-age=86400",
+      "X-Content-Type-Options": "nosniff",
+    });
+    stream.pipe(res);
+  } catch (err) {
+    sendError(res, err, "fetch");
+  }
+});
+
+router.delete("/:id/attachments/:attachmentId", protect, loadReport, requireEditor, async (req, res) => {
+  try {
+    const attachment = req.report.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+    attachment.deleteOne();
+    await req.report.save();
+    await removeAttachment(attachment);
+    res.status(200).json({ attachments: req.report.attachments });
+  } catch (err) {
+    sendError(res, err, "update");
+  }
+});
+
+// ------------------- LIFECYCLE -------------------
+// POST /api/reports/:id/transition { status, note, duplicateOf, responder }
+// duplicateOf (the incident's id) is required when marking a report as a duplicate;
+// dispatching an unassigned report needs responder (a user id), which dispatch:assign holders may give
+router.post("/:id/transition", protect, loadReport, async (req, res) => {
+  try {
+    const { status, note, duplicateOf, responder } = req.body;
+    if (!status) return res.status(400).json({ message: "Status is required" });
+    await transition(req, res, status, note, duplicateOf, responder);
+  } catch (err) {
+    sendError(res, err, "update");
+  }
+});
+
+// ------------------- INCIDENT CLUSTERS -------------------
+// The incident a report belongs to (itself when it is not a duplicate) and all its duplicates
+router.get("/:id/cluster", loadReport, async (req, res) => {
+  try {
+    const incident = req.report.duplicateOf ? await Report.findById(req.report.duplicateOf) : req.report;
+    if (!incident) return res.status(404).json({ message: "Incident not found" });
+    const children = await Report.find({ duplicateOf: incident._id }).select("-history -votes").sort({ createdAt: 1 });
+    res.status(200).json({ incident, children });
+  } catch (err) {
+    sendError(res, err, "fetch");
+  }
+});
+
+// POST /api/reports/:id/merge { into, note } – make this report (and its duplicates) part of another incident
+router.post("/:id/merge", protect, requirePermission("reports:verify"), loadReport, async (req, res) => {
+  try {
+    await merge(req, res, req.body.into, req.body.note);
+  } catch (err) {
+    sendError(res, err, "merge");
+  }
+});
+
+// POST /api/reports/:id/split { note } – detach a duplicate so it becomes an incident of its own
+router.post("/:id/split", protect, requirePermission("reports:verify"), loadReport, async (req, res) => {
+  try {
+    if (!req.report.duplicateOf) return res.status(400).json({ message: "Report is not part of an incident" });
+    await splitFromIncident(req.report, req.user, req.body?.note);
+    await req.report.save();
+    res.status(200).json(req.report);
+  } catch (err) {
+    sendError(res, err, "split");
+  }
+});
+
+// ------------------- COMMUNITY VOTES -------------------
+// Record the caller's confirm/dispute vote and answer with the new score
+const vote = async (req, res, choice) => {
+  const { report } = req;
+  if (report.reporter && String(report.reporter) === String(req.user.id)) {
+    return res.status(403).json({ message: "You cannot vote on your own report" });
+  }
+  if (!VOTING_STATUSES.includes(report.status)) {
+    return res.status(400).json({ message: `Votes are closed on ${report.status} reports` });
+  }
+  const point = toPoint(req.body?.location);
+  if (point === null) return res.status(400).json({ message: "Location must be a GeoJSON point or { lat, lng }" });
+
+  await castVote(report, req.user, choice, point?.coordinates);
+  await report.save();
+  res.status(200).json({
+    _id: report._id,
+    status: report.status,
+    confidence: report.confidence,
+    confirmCount: report.confirmCount,
+    disputeCount: report.disputeCount,
+    yourVote: choice,
+  });
+};
+
+// POST /api/reports/:id/vote { vote: "confirm" | "dispute", location? } – one vote per user, re-voting replaces it
+router.post("/:id/vote", protect, requireVerifiedEmail, loadReport, async (req, res) => {
+  try {
+    const choice = req.body?.vote;
+    if (!["confirm", "dispute"].includes(choice)) {
+      return res.status(400).json({ message: "Vote must be 'confirm' or 'dispute'" });
+    }
+    await vote(req, res, choice);
+  } catch (err) {
+    sendError(res, err, "vote on");
+  }
+});
+
+// Users who may verify do so outright; anyone else casts a confirm vote
+router.post("/:id/confirm", protect, requireVerifiedEmail, loadReport, async (req, res) => {
+  try {
+    if (hasPermission(req.user, "reports:verify")) return await transition(req, res, "verified", req.body?.note);
+    await vote(req, res, "confirm");
+  } catch (err) {
+    sendError(res, err, "confirm");
+  }
+});
+
+// ------------------- EXPIRY -------------------
+// "Still there": pushes back the expiry of an open incident (a duplicate extends its incident)
+router.post("/:id/still-there", protect, requireVerifiedEmail, loadReport, async (req, res) => {
+  try {
+    let report = req.report;
+    if (report.status === "duplicate" && report.duplicateOf) {
+      report = await Report.findById(report.duplicateOf);
+      if (!report) return res.status(404).json({ message: "Incident not found" });
+    }
+    if (!EXPIRING_STATUSES.includes(report.status)) {
+      return res.status(400).json({ message: `A ${report.status} report does not expire` });
+    }
+    stillThere(report);
+    await report.save();
+    res.status(200).json({
+      _id: report._id,
+      expiresAt: report.expiresAt,
+      lastSeenAt: report.lastSeenAt,
+      stillThereCount: report.stillThereCount,
+    });
+  } catch (err) {
+    sendError(res, err, "extend");
+  }
+});
+
+// Status changes, oldest first
+router.get("/:id/timeline", async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select("title status history createdAt")
+      .populate("history.actor", "firstName lastName role");
+    if (!report) return res.status(404).json({ message: "Report not found" });
+    res.status(200).json({ report: report._id, title: report.title, status: report.status, history: report.history });
+  } catch (err) {
+    sendError(res, err, "fetch");
+  }
+});
+
+export default router;
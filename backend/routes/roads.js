@@ -0,0 +1,164 @@
+// File: backend/routes/roads.js
+
+import express from "express";
+import mongoose from "mongoose";
+import Road from "../models/Road.js";
+import Intersection from "../models/Intersection.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { getNetwork, invalidateNetwork } from "../services/roadNetwork.js";
+
+const router = express.Router();
+
+const canView = requirePermission("network:view", "network:manage");
+const canManage = requirePermission("network:manage");
+
+// ------------------- HELPERS -------------------
+const ROAD_FIELDS = ["code", "name", "lanesInbound", "lanesOutbound", "capacityPerLane", "speedLimit", "geometry", "segments", "active"];
+const INTERSECTION_FIELDS = ["code", "name", "location"];
+
+const pick = (body, fields) =>
+  Object.fromEntries(fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+// Roads and intersections can be addressed by Mongo id or by their code ("R1", "I3")
+const byIdOrCode = (id) => (mongoose.isValidObjectId(id) ? { _id: id } : { code: id });
+
+// Map validation / duplicate errors to 4xx, everything else to 500
+const sendError = (res, err, what) => {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ message: `A ${what} with this code already exists` });
+  }
+  console.error(`Failed to save ${what}:`, err);
+  return res.status(500).json({ message: "Server error" });
+};
+
+// ------------------- NETWORK (PUBLIC READ) -------------------
+// Everything the map and route planner need in one call
+router.get("/network", async (req, res) => {
+  try {
+    res.status(200).json(await getNetwork());
+  } catch (err) {
+    console.error("Failed to fetch road network:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- INTERSECTIONS -------------------
+router.get("/intersections", protect, canView, async (req, res) => {
+  try {
+    res.status(200).json(await Intersection.find().sort({ code: 1 }));
+  } catch (err) {
+    console.error("Failed to fetch intersections:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/intersections", protect, canManage, async (req, res) => {
+  try {
+    const intersection = await Intersection.create(pick(req.body, INTERSECTION_FIELDS));
+    invalidateNetwork();
+    res.status(201).json(intersection);
+  } catch (err) {
+    sendError(res, err, "intersection");
+  }
+});
+
+router.put("/intersections/:id", protect, canManage, async (req, res) => {
+  try {
+    const intersection = await Intersection.findOneAndUpdate(
+      byIdOrCode(req.params.id),
+      pick(req.body, INTERSECTION_FIELDS),
+      { new: true, runValidators: true }
+    );
+    if (!intersection) return res.status(404).json({ message: "Intersection not found" });
+
+    invalidateNetwork();
+    res.status(200).json(intersection);
+  } catch (err) {
+    sendError(res, err, "intersection");
+  }
+});
+
+router.delete("/intersections/:id", protect, canManage, async (req, res) => {
+  try {
+    const intersection = await Intersection.findOne(byIdOrCode(req.params.id));
+    if (!intersection) return res.status(404).json({ message: "Intersection not found" });
+
+    // Segments reference intersections; refuse to leave them dangling
+    const inUse = await Road.exists({ $or: [{ "segments.from": intersection._id }, { "segments.to": intersection._id }] });
+    if (inUse) return res.status(409).json({ message: "Intersection is still connected to road segments" });
+
+    await intersection.deleteOne();
+    invalidateNetwork();
+    res.status(200).json({ message: "Intersection deleted" });
+  } catch (err) {
+    console.error("Failed to delete intersection:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- ROADS -------------------
+router.get("/", protect, canView, async (req, res) => {
+  try {
+    const roads = await Road.find().sort({ code: 1 }).populate("segments.from segments.to", "code name location");
+    res.status(200).json(roads);
+  } catch (err) {
+    console.error("Failed to fetch roads:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get("/:id", protect, canView, async (req, res) => {
+  try {
+    const road = await Road.findOne(byIdOrCode(req.params.id)).populate("segments.from segments.to", "code name location");
+    if (!road) return res.status(404).json({ message: "Road not found" });
+    res.status(200).json(road);
+  } catch (err) {
+    console.error("Failed to fetch road:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/", protect, canManage, async (req, res) => {
+  try {
+    const road = await new Road(pick(req.body, ROAD_FIELDS)).save();
+    invalidateNetwork();
+    res.status(201).json(road);
+  } catch (err) {
+    sendError(res, err, "road");
+  }
+});
+
+router.put("/:id", protect, canManage, async (req, res) => {
+  try {
+    const road = await Road.findOne(byIdOrCode(req.params.id));
+    if (!road) return res.status(404).json({ message: "Road not found" });
+
+    // save() rather than findOneAndUpdate so derived lengths/geometry are recomputed
+    road.set(pick(req.body, ROAD_FIELDS));
+    if (req.body.segments && !req.body.geometry) road.geometry = undefined;
+    await road.save();
+
+    invalidateNetwork();
+    res.status(200).json(road);
+  } catch (err) {
+    sendError(res, err, "road");
+  }
+});
+
+router.delete("/:id", protect, canManage, async (req, res) => {
+  try {
+    const road = await Road.findOneAndDelete(byIdOrCode(req.params.id));
+    if (!road) return res.status(404).json({ message: "Road not found" });
+
+    invalidateNetwork();
+    res.status(200).json({ message: "Road deleted" });
+  } catch (err) {
+    console.error("Failed to delete road:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
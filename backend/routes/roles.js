@@ -0,0 +1,113 @@
+// File: backend/routes/roles.js
+
+import express from "express";
+import Role, { PERMISSIONS, DEFAULT_ROLES } from "../models/Role.js";
+import User from "../models/User.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { loadRoles, invalidateRoles, ungrantable } from "../services/permissions.js";
+
+const router = express.Router();
+
+const sendError = (res, err, action) => {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(`Failed to ${action}:`, err);
+  return res.status(500).json({ message: "Server error" });
+};
+
+// Description and permissions from a request body, or an error message (and status when not 400).
+// A role can only be given permissions the editing user holds.
+const roleInput = (body = {}, user) => {
+  const input = {};
+  if (body.description !== undefined) input.description = String(body.description);
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) return { error: "Permissions must be an array" };
+    const unknown = body.permissions.filter((p) => !PERMISSIONS[p]);
+    if (unknown.length) return { error: `Unknown permission(s): ${unknown.join(", ")}` };
+    const denied = ungrantable(user, body.permissions);
+    if (denied.length) return { error: `You cannot grant permissions you do not have: ${denied.join(", ")}`, status: 403 };
+    input.permissions = [...new Set(body.permissions)];
+  }
+  return { input };
+};
+
+// ------------------- LIST ROLES -------------------
+// GET /api/roles – the permission catalogue and every role with its user count
+router.get("/", protect, requirePermission("roles:manage", "users:manage"), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([loadRoles(), User.aggregate([{ $group: { _id: "$role", users: { $sum: 1 } } }])]);
+    const users = new Map(counts.map((c) => [c._id, c.users]));
+    res.status(200).json({
+      permissions: PERMISSIONS,
+      roles: [...roles.values()].map((r) => ({ ...r, users: users.get(r.name) || 0 })),
+    });
+  } catch (err) {
+    sendError(res, err, "fetch roles");
+  }
+});
+
+// ------------------- CREATE ROLE -------------------
+router.post("/", protect, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim().toLowerCase();
+    if ((await loadRoles()).has(name)) return res.status(400).json({ message: `Role "${name}" already exists` });
+    const { input, error, status } = roleInput(req.body, req.user);
+    if (error) return res.status(status || 400).json({ message: error });
+
+    const role = await Role.create({ name, ...input });
+    invalidateRoles();
+    res.status(201).json(role);
+  } catch (err) {
+    sendError(res, err, "create role");
+  }
+});
+
+// ------------------- UPDATE ROLE -------------------
+// Editing a built-in role stores an override; admin cannot be edited
+router.put("/:name", protect, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (name === "admin") return res.status(400).json({ message: "The admin role always has every permission" });
+    const current = (await loadRoles()).get(name);
+    if (!current) return res.status(404).json({ message: "Role not found" });
+    const { input, error, status } = roleInput(req.body, req.user);
+    if (error) return res.status(status || 400).json({ message: error });
+
+    const role = await Role.findOneAndUpdate(
+      { name },
+      { $set: { description: current.description, permissions: current.permissions, ...input } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    invalidateRoles();
+    res.status(200).json(role);
+  } catch (err) {
+    sendError(res, err, "update role");
+  }
+});
+
+// ------------------- DELETE ROLE -------------------
+// Deleting a built-in role restores its defaults, which only someone holding both the defaults and
+// the current permissions may do; custom roles must have no users left
+router.delete("/:name", protect, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const builtIn = Boolean(DEFAULT_ROLES[name]);
+    if (builtIn) {
+      const current = (await loadRoles()).get(name)?.permissions || [];
+      const denied = ungrantable(req.user, [...new Set([...DEFAULT_ROLES[name].permissions, ...current])]);
+      if (denied.length) return res.status(403).json({ message: `You cannot reset a role with permissions you do not have: ${denied.join(", ")}` });
+    } else {
+      const users = await User.countDocuments({ role: name });
+      if (users) return res.status(409).json({ message: `${users} user(s) still have the role "${name}"` });
+    }
+    const removed = await Role.findOneAndDelete({ name });
+    if (!removed && !builtIn) return res.status(404).json({ message: "Role not found" });
+    invalidateRoles();
+    res.status(200).json({ message: builtIn ? `Role "${name}" reset to its defaults` : `Role "${name}" deleted` });
+  } catch (err) {
+    sendError(res, err, "delete role");
+  }
+});
+
+export default router;
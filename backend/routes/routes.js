@@ -0,0 +1,53 @@
+// File: backend/routes/routes.js
+
+import express from "express";
+import { LIVE_WINDOW_MS, planRoute, resolveIntersection } from "../services/routePlanner.js";
+
+const router = express.Router();
+
+const MAX_ALTERNATIVES = 5;
+
+const summary = (i) => ({ _id: i._id, code: i.code, name: i.name, location: i.location });
+
+const parseDate = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const d = new Date(isNaN(Number(value)) ? value : Number(value));
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// ------------------- PLAN -------------------
+// GET /api/routes/plan?from=I1&to=0.335,32.595&departAt=2026-01-05T08:00:00Z&alternatives=2
+// from/to are intersection codes (or names), or "lat,lng" snapped to the nearest intersection
+router.get("/plan", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) return res.status(400).json({ message: "Both 'from' and 'to' are required" });
+
+    const departAt = parseDate(req.query.departAt, new Date());
+    if (!departAt) return res.status(400).json({ message: "Invalid departAt date" });
+    // past traffic is not forecast; only a departure a few minutes ago still counts as now
+    if (departAt.getTime() < Date.now() - LIVE_WINDOW_MS) return res.status(400).json({ message: "departAt cannot be in the past" });
+
+    const alternatives = req.query.alternatives === undefined ? 2 : Number(req.query.alternatives);
+    if (!Number.isInteger(alternatives) || alternatives < 0 || alternatives > MAX_ALTERNATIVES) {
+      return res.status(400).json({ message: `alternatives must be an integer between 0 and ${MAX_ALTERNATIVES}` });
+    }
+
+    const [start, goal] = await Promise.all([resolveIntersection(from), resolveIntersection(to)]);
+    if (!start) return res.status(404).json({ message: "Start point not found" });
+    if (!goal) return res.status(404).json({ message: "Destination not found" });
+    if (String(start._id) === String(goal._id)) {
+      return res.status(400).json({ message: "Start and destination are the same intersection" });
+    }
+
+    const { basis, routes } = await planRoute({ from: start, to: goal, departAt, alternatives });
+    if (!routes.length) return res.status(404).json({ message: "No route found between these points" });
+
+    res.status(200).json({ from: summary(start), to: summary(goal), departAt, basis, routes });
+  } catch (err) {
+    console.error("Failed to plan route:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
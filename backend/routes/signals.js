@@ -0,0 +1,119 @@
+// File: backend/routes/signals.js
+
+import express from "express";
+import SignalPlan from "../models/SignalPlan.js";
+import SignalPlanChange from "../models/SignalPlanChange.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { findIntersection, recommendPlan, applyPlan } from "../services/signalTiming.js";
+
+const router = express.Router();
+
+const NOTHING_TO_TIME = "No road with lanes enters this intersection, so there is nothing to time";
+
+// Resolve :intersectionId (Mongo id or code) or answer 404
+const loadIntersection = async (req, res, next) => {
+  try {
+    const intersection = await findIntersection(req.params.intersectionId);
+    if (!intersection) return res.status(404).json({ message: "Intersection not found" });
+    req.intersection = intersection;
+    next();
+  } catch (err) {
+    console.error("Failed to load intersection:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// ------------------- GET PLAN -------------------
+// Active plan plus what Webster's method recommends for the current flows
+// (recommended is null, with a message, when the intersection has no approaches)
+router.get("/:intersectionId/plan", protect, loadIntersection, async (req, res) => {
+  try {
+    const plan = await SignalPlan.findOne({ intersection: req.intersection._id });
+    const recommended = await recommendPlan(req.intersection, plan);
+    res.status(200).json({
+      intersection: { _id: req.intersection._id, code: req.intersection.code, name: req.intersection.name },
+      plan,
+      recommended,
+      ...(!recommended && { message: NOTHING_TO_TIME }),
+    });
+  } catch (err) {
+    console.error("Failed to fetch signal plan:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- OVERRIDE PLAN -------------------
+// Operator override. Sending only { mode: "adaptive" } hands the intersection back to the controller.
+router.put("/:intersectionId/plan", protect, requirePermission("signals:manage"), loadIntersection, async (req, res) => {
+  try {
+    const { phases, mode, reason } = req.body;
+    if (mode !== undefined && !["adaptive", "fixed"].includes(mode)) {
+      return res.status(400).json({ message: "Mode must be 'adaptive' or 'fixed'" });
+    }
+
+    let plan;
+    if (phases === undefined) {
+      if (mode !== "adaptive") return res.status(400).json({ message: "Phases are required for a manual plan" });
+      const existing = await SignalPlan.findOne({ intersection: req.intersection._id });
+      const recommended = await recommendPlan(req.intersection, existing);
+      if (!recommended) return res.status(409).json({ message: NOTHING_TO_TIME });
+      plan = await applyPlan(req.intersection, recommended, {
+        source: "webster",
+        mode: "adaptive",
+        changedBy: req.user.id,
+        reason: reason || "Returned to adaptive control",
+      });
+    } else {
+      if (!Array.isArray(phases) || phases.length === 0) {
+        return res.status(400).json({ message: "Phases must be a non-empty array" });
+      }
+      plan = await applyPlan(req.intersection, { phases }, {
+        source: "manual",
+        mode: mode || "fixed",
+        changedBy: req.user.id,
+        reason: reason || "Manual override",
+      });
+    }
+
+    res.status(200).json({ message: "Signal plan updated", plan });
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ message: err.message });
+    console.error("Failed to update signal plan:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- RE-OPTIMISE NOW -------------------
+router.post("/:intersectionId/plan/optimize", protect, requirePermission("signals:manage"), loadIntersection, async (req, res) => {
+  try {
+    const existing = await SignalPlan.findOne({ intersection: req.intersection._id });
+    const recommended = await recommendPlan(req.intersection, existing);
+    if (!recommended) return res.status(409).json({ message: NOTHING_TO_TIME });
+    const plan = await applyPlan(req.intersection, recommended, {
+      source: "webster",
+      changedBy: req.user.id,
+      reason: req.body.reason || "Re-optimised on request",
+    });
+    res.status(200).json({ message: "Signal plan re-optimised", plan });
+  } catch (err) {
+    console.error("Failed to optimise signal plan:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- PLAN HISTORY -------------------
+router.get("/:intersectionId/plan/history", protect, requirePermission("network:view", "signals:manage"), loadIntersection, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const changes = await SignalPlanChange.find({ intersection: req.intersection._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("changedBy", "firstName lastName email");
+    res.status(200).json(changes);
+  } catch (err) {
+    console.error("Failed to fetch signal plan history:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
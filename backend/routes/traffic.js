@@ -0,0 +1,133 @@
+// File: backend/routes/traffic.js
+
+import express from "express";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { getSimulator } from "../services/trafficSimulator.js";
+import { getHistory } from "../services/trafficHistory.js";
+import { getTrafficState } from "../services/trafficState.js";
+import { getNetwork } from "../services/roadNetwork.js";
+import { getForecasts } from "../services/forecaster.js";
+import { LOS_SCALE, withLevelOfService } from "../services/levelOfService.js";
+
+const router = express.Router();
+
+// ------------------- HELPERS -------------------
+const BUCKET_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKETS = 2000; // keeps a single history response reasonably small
+
+// "5m" -> 300000 (ms); returns null for anything unparseable
+const parseBucket = (value) => {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * BUCKET_UNITS[match[2]];
+};
+
+const parseDate = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const d = new Date(isNaN(Number(value)) ? value : Number(value));
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// ------------------- CURRENT STATE -------------------
+// Latest simulation tick with fresh sensor measurements applied (every tick is also stored for /history)
+router.get("/state", (req, res) => {
+  res.json(getTrafficState().getState());
+});
+
+// ------------------- HISTORY -------------------
+// GET /api/traffic/history?road=R1&from=&to=&bucket=5m&replay=
+// Returns average inbound/outbound per road per time bucket (of a simulation replay when replay is given)
+router.get("/history", async (req, res) => {
+  try {
+    const { road, bucket = "5m" } = req.query;
+
+    const bucketMs = parseBucket(bucket);
+    if (!bucketMs) {
+      return res.status(400).json({ message: "Bucket must look like 30s, 5m, 1h or 1d" });
+    }
+
+    const to = parseDate(req.query.to, new Date());
+    const from = parseDate(req.query.from, to && new Date(to.getTime() - 60 * 60 * 1000));
+    if (!from || !to) return res.status(400).json({ message: "Invalid from/to date" });
+    if (from >= to) return res.status(400).json({ message: "'from' must be before 'to'" });
+    if ((to - from) / bucketMs > MAX_BUCKETS) {
+      return res.status(400).json({ message: `Time range too large for bucket size (max ${MAX_BUCKETS} buckets)` });
+    }
+
+    // Level of service uses the road's current capacity definition
+    const { roads } = await getNetwork();
+    const capacityOf = Object.fromEntries(roads.map((r) => [r.code, r.capacityPerLane]));
+    const replay = req.query.replay ? String(req.query.replay) : null;
+    const points = (await getHistory({ road, from, to, bucketMs, replay })).map((p) =>
+      withLevelOfService(p, capacityOf[p.road])
+    );
+    res.status(200).json({ road: road || null, from, to, bucket, points });
+  } catch (err) {
+    console.error("Failed to fetch traffic history:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- FORECAST -------------------
+// GET /api/traffic/forecast?road=R1
+// 15/30/60-minute-ahead flow forecasts with 95% intervals; all roads when no road is given
+router.get("/forecast", async (req, res) => {
+  try {
+    const { road } = req.query;
+    const forecasts = await getForecasts(road);
+
+    if (!road) return res.status(200).json({ roads: forecasts });
+    if (!forecasts.length) {
+      const { roads } = await getNetwork();
+      return roads.some((r) => r.code === road)
+        ? res.status(404).json({ message: "Not enough traffic history to forecast this road" })
+        : res.status(404).json({ message: "Road not found" });
+    }
+    res.status(200).json(forecasts[0]);
+  } catch (err) {
+    console.error("Failed to forecast traffic:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ------------------- LEVEL OF SERVICE SCALE -------------------
+// The v/c bands behind every inboundLos/outboundLos value
+router.get("/los", (req, res) => {
+  res.json(LOS_SCALE.map(({ level, maxVc, label }) => ({ level, maxVc: Number.isFinite(maxVc) ? maxVc : null, label })));
+});
+
+// ------------------- SIMULATION CONTROL -------------------
+router.get("/simulation", (req, res) => {
+  res.json(getSimulator().status());
+});
+
+// Restart the run, e.g. with the seed of a demo that needs to be reproduced
+router.post("/simulation/reset", protect, requirePermission("simulation:control"), (req, res) => {
+  const { seed, start } = req.body;
+  if (seed !== undefined && !Number.isInteger(Number(seed))) {
+    return res.status(400).json({ message: "Seed must be an integer" });
+  }
+  const startAt = parseDate(start, new Date());
+  if (!startAt) return res.status(400).json({ message: "Invalid start date" });
+
+  const simulator = getSimulator();
+  simulator.reset({ seed: seed === undefined ? simulator.seed : Number(seed), start: startAt });
+  res.status(200).json({ message: "Simulation reset", simulation: simulator.status() });
+});
+
+// Block part of a road's capacity for a while, e.g. to demo incident detection
+router.post("/simulation/incident", protect, requirePermission("simulation:control"), (req, res) => {
+  const { road, direction = "inbound", capacityFactor = 0.3, minutes = 30 } = req.body;
+  if (!road) return res.status(400).json({ message: "Road is required" });
+  if (!["inbound", "outbound"].includes(direction)) {
+    return res.status(400).json({ message: "Direction must be 'inbound' or 'outbound'" });
+  }
+  if (!(Number(capacityFactor) > 0 && Number(capacityFactor) <= 1) || !(Number(minutes) > 0)) {
+    return res.status(400).json({ message: "capacityFactor must be in (0, 1] and minutes positive" });
+  }
+
+  getSimulator().blockCapacity(road, direction, Number(capacityFactor), Number(minutes) * 60);
+  res.status(200).json({ message: `Simulated blockage on ${road} ${direction}` });
+});
+
+export default router;
@@ -0,0 +1,132 @@
+// File: backend/routes/users.js
+
+import express from "express";
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { issueTokens, revokeSessions } from "../services/authTokens.js";
+import { loadRoles, ungrantable } from "../services/permissions.js";
+
+const router = express.Router();
+
+const USER_FIELDS = "firstName lastName email phone role active emailVerified profilePhoto createdAt";
+const MAX_LIMIT = 500;
+
+const sendError = (res, err, action) => {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(`Failed to ${action}:`, err);
+  return res.status(500).json({ message: "Server error" });
+};
+
+// ------------------- OWN ACCOUNT -------------------
+// POST /api/users/me/password { currentPassword, password, confirmPassword }
+// Signs out every other session; the answer carries fresh tokens for this one
+router.post("/me/password", protect, async (req, res) => {
+  try {
+    const { currentPassword, password, confirmPassword } = req.body || {};
+    if (!currentPassword || !password || !confirmPassword) {
+      return res.status(400).json({ message: "Current and new password are required" });
+    }
+    if (password !== confirmPassword) return res.status(400).json({ message: "Passwords do not match" });
+    if (password.length < 6) return res.status(400).json({ message: "Password must be at least 6 characters" });
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    await user.save();
+    await revokeSessions(user._id);
+    const fresh = await User.findById(user._id);
+    res.status(200).json({ message: "Password changed", ...(await issueTokens(fresh)) });
+  } catch (err) {
+    sendError(res, err, "change password");
+  }
+});
+
+// ------------------- ADMIN -------------------
+// GET /api/users?role=&active=&limit=
+router.get("/", protect, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = String(req.query.role);
+    if (req.query.active) filter.active = req.query.active === "true" ? { $ne: false } : false;
+    const limit = Math.min(Number(req.query.limit) || 100, MAX_LIMIT);
+
+    res.status(200).json(await User.find(filter).select(USER_FIELDS).sort({ createdAt: -1 }).limit(limit));
+  } catch (err) {
+    sendError(res, err, "fetch users");
+  }
+});
+
+// Why the caller may not manage `user` (a role with permissions the caller lacks), or null
+const outranks = async (caller, user) =>
+  ungrantable(caller, (await loadRoles()).get(user.role)?.permissions).length ? `You cannot manage a ${user.role}` : null;
+
+// PATCH /api/users/:id/active { active } – disabling an account signs it out everywhere
+router.patch("/:id/active", protect, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { active } = req.body || {};
+    if (typeof active !== "boolean") return res.status(400).json({ message: "Active must be true or false" });
+    if (!active && req.params.id === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot disable your own account" });
+    }
+
+    const user = await User.findById(req.params.id).select(USER_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    const denied = await outranks(req.user, user);
+    if (denied) return res.status(403).json({ message: denied });
+    user.active = active;
+    await user.save();
+    if (!active) await revokeSessions(user._id, "disabled");
+    res.status(200).json(user);
+  } catch (err) {
+    sendError(res, err, "update user");
+  }
+});
+
+// POST /api/users/:id/role { role } – any built-in or stored role (see /api/roles).
+// Only roles whose permissions the caller holds can be given, or taken away.
+router.post("/:id/role", protect, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const roles = await loadRoles();
+    const role = String(req.body?.role || "").trim().toLowerCase();
+    if (!roles.has(role)) return res.status(400).json({ message: `Unknown role "${role}"` });
+    if (req.params.id === String(req.user.id)) return res.status(400).json({ message: "You cannot change your own role" });
+
+    const user = await User.findById(req.params.id).select(USER_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    const granted = ungrantable(req.user, roles.get(role).permissions);
+    if (granted.length) {
+      return res.status(403).json({ message: `You cannot grant permissions you do not have: ${granted.join(", ")}` });
+    }
+    if (ungrantable(req.user, roles.get(user.role)?.permissions).length) {
+      return res.status(403).json({ message: `You cannot change the role of a ${user.role}` });
+    }
+    user.role = role;
+    await user.save();
+    res.status(200).json(user);
+  } catch (err) {
+    sendError(res, err, "change role");
+  }
+});
+
+// POST /api/users/:id/revoke-sessions – sign the user out on every device
+router.post("/:id/revoke-sessions", protect, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("_id role");
+    if (!user) return res.status(404).json({ message: "User not found" });
+    const denied = await outranks(req.user, user);
+    if (denied) return res.status(403).json({ message: denied });
+    await revokeSessions(user._id);
+    res.status(200).json({ message: "Sessions revoked" });
+  } catch (err) {
+    sendError(res, err, "revoke sessions");
+  }
+});
+
+export default router;
@@ -8,6 +8,9 @@ dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1) makes req.ip the client address for login throttling
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
 // Middleware
 app.use(express.json()); // parse JSON bodies
 app.use(cors()); // enable CORS for all routes
@@ -19,12 +22,13 @@ app.get("/", (req, res) => {
 
 // MongoDB Connection
 mongoose
-  .connect(process.env.MONGO_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
+  .connect(process.env.MONGO_URI)
   .then(() => console.log("✅ MongoDB connected"))
-  .catch((err) => console.error("❌ MongoDB connection error:", err));
+  .catch((err) => {
+    // Without the database every route fails, so stop and let the process manager restart us
+    console.error("❌ MongoDB connection error:", err.message);
+    process.exit(1);
+  });
 
 // Routes
 app.use("/api/auth", authRoutes);
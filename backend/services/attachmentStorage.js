@@ -0,0 +1,59 @@
+// File: backend/services/attachmentStorage.js
+// Where report attachments are kept. The default "disk" backend writes under
+// ATTACHMENT_DIR (default uploads/). Other backends (S3, GCS, ...) register a
+// factory with registerStorage() and are picked with ATTACHMENT_STORAGE.
+// A backend implements:
+//   put(key, buffer, contentType) -> Promise
+//   get(key)                      -> readable stream (emits "error" when missing)
+//   remove(key)                   -> Promise, no error when already gone
+
+import fs from "fs";
+import path from "path";
+
+const factories = new Map();
+let active = null;
+
+const diskStorage = () => {
+  const root = path.resolve(process.env.ATTACHMENT_DIR || "uploads");
+  const file = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) throw new Error(`Invalid attachment key "${key}"`);
+    return target;
+  };
+
+  return {
+    async put(key, buffer) {
+      await fs.promises.mkdir(path.dirname(file(key)), { recursive: true });
+      await fs.promises.writeFile(file(key), buffer);
+    },
+    get: (key) => fs.createReadStream(file(key)),
+    remove: (key) => fs.promises.rm(file(key), { force: true }),
+  };
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Make a storage backend available under `name`
+ * @param {string} name - value of ATTACHMENT_STORAGE that selects it
+ * @param {function} factory - returns { put, get, remove }
+ */
+export function registerStorage(name, factory) {
+  factories.set(name, factory);
+  active = null;
+}
+
+registerStorage("disk", diskStorage);
+
+/**
+ * The configured backend (created on first use so .env values loaded after import apply)
+ */
+export function getStorage() {
+  if (!active) {
+    const name = process.env.ATTACHMENT_STORAGE || "disk";
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown attachment storage "${name}"`);
+    active = factory();
+  }
+  return active;
+}
@@ -0,0 +1,100 @@
+// File: backend/services/authTokens.js
+// Access and refresh tokens. Access tokens are JWTs valid for ACCESS_TOKEN_TTL_MIN
+// (default 15) carrying the user's tokenVersion; protect() rejects them once the
+// version moves on. Refresh tokens are random strings valid for
+// REFRESH_TOKEN_TTL_DAYS (default 7), stored hashed and replaced on every use.
+// revokeSessions() bumps tokenVersion and revokes every refresh token, which
+// signs the user out everywhere (password change, disabled account).
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const createRefreshToken = async (user, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + setting("REFRESH_TOKEN_TTL_DAYS", 7) * 24 * 60 * 60 * 1000),
+  });
+  return token;
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Short-lived JWT { id, role, ver }
+ */
+export const signAccessToken = (user) =>
+  jwt.sign({ id: user._id, role: user.role, ver: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: setting("ACCESS_TOKEN_TTL_MIN", 15) * 60,
+  });
+
+/**
+ * Access + refresh token pair for a new login session
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>} expiresIn in seconds
+ */
+export async function issueTokens(user, family) {
+  return {
+    token: signAccessToken(user),
+    refreshToken: await createRefreshToken(user, family),
+    expiresIn: setting("ACCESS_TOKEN_TTL_MIN", 15) * 60,
+  };
+}
+
+/**
+ * Trade a refresh token for a new pair. The old token stops working; presenting it
+ * again afterwards revokes the whole session, as it means the token was copied.
+ * @returns {Promise<{user: Object, tokens: Object}|{error: string}>}
+ */
+export async function rotateRefreshToken(token) {
+  const now = new Date();
+  const tokenHash = hashToken(token);
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: now, revokedReason: "rotated" }
+  );
+
+  if (!current) {
+    const used = await RefreshToken.findOne({ tokenHash });
+    if (used?.revokedReason === "rotated") {
+      await RefreshToken.updateMany({ family: used.family, revokedAt: null }, { revokedAt: now, revokedReason: "reuse" });
+    }
+    return { error: "Invalid refresh token" };
+  }
+  if (current.expiresAt <= now) return { error: "Refresh token expired" };
+
+  const user = await User.findById(current.user);
+  if (!user || !user.active) return { error: "Account disabled" };
+  return { user, tokens: await issueTokens(user, current.family) };
+}
+
+/**
+ * End the session of one refresh token
+ * @returns {Promise<string|null>} the session's user id, or null when the token is unknown, revoked,
+ *   rotated or expired (an old token ends what is left of its session but proves nothing more)
+ */
+export async function revokeRefreshToken(token) {
+  const now = new Date();
+  const found = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!found) return null;
+  await RefreshToken.updateMany({ family: found.family, revokedAt: null }, { revokedAt: now, revokedReason: "logout" });
+  return !found.revokedAt && found.expiresAt > now ? String(found.user) : null;
+}
+
+/**
+ * Sign a user out everywhere: outstanding access tokens fail protect() and refresh tokens are revoked
+ */
+export async function revokeSessions(userId, reason = "revoked") {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+}
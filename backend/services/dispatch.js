@@ -0,0 +1,197 @@
+// File: backend/services/dispatch.js
+// Sending responders to incidents and holding them to per-severity SLAs.
+// Assigning a verified incident dispatches it. The responder then acknowledges
+// the assignment and reports arrival (the incident goes on-scene). Each step has
+// a due time fixed at assignment; a monitor escalates missed ones, once per step,
+// to everyone whose role grants dispatch:assign.
+
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import { ASSIGNED_STATUSES, applyTransition } from "./reportWorkflow.js";
+import { notify, notifyPermitted } from "./notifier.js";
+import { rolesWith } from "./permissions.js";
+
+// Minutes to acknowledge and to arrive, per severity
+export const SLA_DEFAULTS = {
+  critical: { ackMin: 2, arriveMin: 15 },
+  high: { ackMin: 5, arriveMin: 30 },
+  medium: { ackMin: 15, arriveMin: 60 },
+  low: { ackMin: 60, arriveMin: 240 },
+};
+
+const MINUTE = 60 * 1000;
+
+const minutes = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const responderName = (user) => `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.email || "responder";
+
+// Raise one missed step of an assignment with everyone who may reassign it
+const escalate = async (report, assignment, step, now) => {
+  const due = step === "ack" ? assignment.ackDueAt : assignment.arriveDueAt;
+  const late = Math.round((now - due) / MINUTE);
+  assignment[step === "ack" ? "ackEscalatedAt" : "arriveEscalatedAt"] = now;
+  await report.save();
+  await notifyPermitted("dispatch:assign", {
+    type: "escalation",
+    title: `Overdue ${step === "ack" ? "acknowledgement" : "arrival"}: ${report.title}`,
+    message: `The ${assignment.responderRole} assigned to this ${report.severity} incident is ${late} min past the ${step === "ack" ? "acknowledgement" : "arrival"} SLA.`,
+    report: report._id,
+  });
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * SLA for a severity, with SLA_<SEVERITY>_ACK_MIN / SLA_<SEVERITY>_ARRIVE_MIN overrides (read on use)
+ */
+export const slaFor = (severity) => {
+  const defaults = SLA_DEFAULTS[severity] || SLA_DEFAULTS.medium;
+  const key = String(severity).toUpperCase();
+  return {
+    ackMin: minutes(`SLA_${key}_ACK_MIN`, defaults.ackMin),
+    arriveMin: minutes(`SLA_${key}_ARRIVE_MIN`, defaults.arriveMin),
+  };
+};
+
+/**
+ * Why `user` cannot act on `report` as its responder, or null
+ * @returns {{status: number, message: string}|null}
+ */
+export const responderProblem = (report, user) => {
+  if (!ASSIGNED_STATUSES.includes(report.status)) return { status: 400, message: `The incident is ${report.status}` };
+  if (String(report.assignment?.responder) !== String(user.id)) {
+    return { status: 403, message: "You are not assigned to this incident" };
+  }
+  return null;
+};
+
+/**
+ * Look up the user to assign: an active account whose role grants dispatch:respond
+ * @returns {Promise<{responder: Object}|{status: number, message: string}>}
+ */
+export async function findResponder(id) {
+  if (!id) return { status: 400, message: "Responder is required" };
+  const responder = await User.findById(id);
+  if (!responder) return { status: 404, message: "Responder not found" };
+  if (!responder.active) return { status: 400, message: "This responder's account is disabled" };
+  const responderRoles = await rolesWith("dispatch:respond");
+  if (!responderRoles.includes(responder.role)) {
+    return { status: 400, message: `Responders must have one of the roles: ${responderRoles.join(", ")}` };
+  }
+  return { responder };
+}
+
+/**
+ * Assign (or reassign) a responder. A verified incident becomes dispatched. Caller saves.
+ * @param {Object} report - verified, dispatched or on-scene
+ * @param {Object} responder - User document with a responder role
+ * @param {{id: string, role: string}} actor
+ */
+export async function assignResponder(report, responder, actor, note) {
+  const now = new Date();
+  const previous = report.assignment;
+  if (previous) Object.assign(previous, { endedAt: now, endReason: "reassigned" });
+
+  const sla = slaFor(report.severity);
+  report.assignments.push({
+    responder: responder._id,
+    responderRole: responder.role,
+    assignedBy: actor.id,
+    assignedAt: now,
+    ackDueAt: new Date(now.getTime() + sla.ackMin * MINUTE),
+    arriveDueAt: new Date(now.getTime() + sla.arriveMin * MINUTE),
+    note,
+  });
+  if (report.status === "verified") applyTransition(report, "dispatched", actor, note || `Assigned to ${responderName(responder)}`);
+
+  await notify(responder._id, {
+    type: "assignment",
+    title: `New ${report.severity} incident: ${report.title}`,
+    message: `Acknowledge within ${sla.ackMin} min and arrive within ${sla.arriveMin} min.${note ? ` ${note}` : ""}`,
+    report: report._id,
+  });
+  if (previous && String(previous.responder) !== String(responder._id)) {
+    await notify(previous.responder, { type: "unassigned", title: `Reassigned: ${report.title}`, report: report._id });
+  }
+  return report;
+}
+
+/**
+ * The assigned responder has seen the incident (caller saves; check responderProblem() first)
+ */
+export const acknowledge = (report, at = new Date()) => {
+  if (!report.assignment.acknowledgedAt) report.assignment.acknowledgedAt = at;
+  return report;
+};
+
+/**
+ * The assigned responder is at the incident, which goes on-scene (caller saves; check responderProblem() first)
+ */
+export const arrive = (report, user, note, at = new Date()) => {
+  acknowledge(report, at);
+  if (!report.assignment.arrivedAt) report.assignment.arrivedAt = at;
+  if (report.status === "dispatched") applyTransition(report, "on-scene", user, note);
+  return report;
+};
+
+/**
+ * How the current assignment is doing against its SLA
+ */
+export const slaStatus = (assignment, now = new Date()) => {
+  if (!assignment) return null;
+  const state = (done, due) => (done ? (done <= due ? "met" : "missed") : now > due ? "overdue" : "pending");
+  return {
+    ack: state(assignment.acknowledgedAt, assignment.ackDueAt),
+    arrival: state(assignment.arrivedAt, assignment.arriveDueAt),
+  };
+};
+
+/**
+ * Dispatched incidents whose responder missed a due time; by default only those not escalated yet
+ */
+export const findOverdue = (now = new Date(), { includeEscalated = false } = {}) => {
+  const ack = { acknowledgedAt: null, ackDueAt: { $lt: now } };
+  const arrival = { arrivedAt: null, arriveDueAt: { $lt: now } };
+  if (!includeEscalated) {
+    ack.ackEscalatedAt = null;
+    arrival.arriveEscalatedAt = null;
+  }
+  return Report.find({
+    status: { $in: ASSIGNED_STATUSES },
+    assignments: { $elemMatch: { endedAt: null, $or: [ack, arrival] } },
+  });
+};
+
+/**
+ * Escalate every newly overdue step; returns how many were escalated
+ */
+export async function escalateOverdue(now = new Date()) {
+  let count = 0;
+  for (const report of await findOverdue(now)) {
+    const a = report.assignment;
+    if (!a) continue;
+    if (!a.acknowledgedAt && !a.ackEscalatedAt && a.ackDueAt < now) {
+      await escalate(report, a, "ack", now);
+      count++;
+    }
+    if (!a.arrivedAt && !a.arriveEscalatedAt && a.arriveDueAt < now) {
+      await escalate(report, a, "arrive", now);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Check for overdue assignments every DISPATCH_CHECK_MS (default 1 min)
+ */
+export function startDispatchMonitor(intervalMs = Number(process.env.DISPATCH_CHECK_MS) || MINUTE) {
+  const run = () =>
+    escalateOverdue()
+      .then((n) => n && console.log(`Escalated ${n} overdue dispatch step(s)`))
+      .catch((err) => console.error("Dispatch SLA check failed:", err.message));
+  return setInterval(run, intervalMs);
+}
@@ -0,0 +1,56 @@
+// File: backend/services/emailVerification.js
+// Email address verification. The emailed link carries a JWT signed with
+// JWT_SECRET for the user id and address, valid EMAIL_VERIFY_TTL_HOURS (default
+// 24). Changing the address makes older links useless. Links can be re-sent
+// once every EMAIL_VERIFY_RESEND_SEC (default 60).
+
+import jwt from "jsonwebtoken";
+import { sendMail } from "./mailer.js";
+
+const PURPOSE = "verify-email";
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Seconds until `user` may ask for another link (0 when allowed now)
+ */
+export const resendWait = (user, now = new Date()) => {
+  if (!user.verificationSentAt) return 0;
+  const next = user.verificationSentAt.getTime() + setting("EMAIL_VERIFY_RESEND_SEC", 60) * 1000;
+  return Math.max(0, Math.ceil((next - now.getTime()) / 1000));
+};
+
+/**
+ * Email `user` a link to APP_URL/verify-email and record when it was sent (saves the user)
+ */
+export async function sendVerificationLink(user) {
+  const hours = setting("EMAIL_VERIFY_TTL_HOURS", 24);
+  const token = jwt.sign({ id: user._id, email: user.email, purpose: PURPOSE }, process.env.JWT_SECRET, { expiresIn: hours * 3600 });
+  const link = `${process.env.APP_URL || "http://localhost:5173"}/verify-email?token=${token}`;
+
+  user.verificationSentAt = new Date();
+  await user.save();
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.firstName || ""},\n\nConfirm your email address within ${hours} hours to start reporting incidents:\n${link}\n\nIf you did not create an account, ignore this email.`,
+  });
+}
+
+/**
+ * Check a verification token
+ * @returns {{id: string, email: string}|null} null when invalid, expired or not a verification token
+ */
+export const readVerificationToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    return payload.purpose === PURPOSE ? { id: String(payload.id), email: payload.email } : null;
+  } catch {
+    return null;
+  }
+};
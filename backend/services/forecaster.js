@@ -0,0 +1,201 @@
+// File: backend/services/forecaster.js
+// Short-term flow forecasts per road and direction.
+// Stored readings are averaged into 15-minute buckets and fitted with additive
+// Holt-Winters (level + trend + seasonal profile). The season is one week
+// (hour of day and day of week) once two weeks of history exist, otherwise one
+// day. With less than two days of history a (seasonal) naive forecast is used.
+// Intervals come from the spread of the one-step-ahead fitting errors.
+
+import TrafficReading from "../models/TrafficReading.js";
+import { getHistory } from "./trafficHistory.js";
+import { getNetwork, directionCapacity } from "./roadNetwork.js";
+import { levelOfService } from "./levelOfService.js";
+
+const BUCKET_MS = 15 * 60 * 1000;
+const DAY = 96; // 15-minute buckets per day
+const WEEK = 7 * DAY;
+const LOOKBACK_DAYS = 28;
+const Z_95 = 1.96;
+
+export const HORIZONS = [15, 30, 60]; // minutes ahead
+
+// Small smoothing grid; the pair with the lowest one-step error wins
+const ALPHAS = [0.1, 0.3, 0.5];
+const GAMMAS = [0.05, 0.2, 0.4];
+const BETA = 0.01;
+
+const cache = new Map(); // road code -> { origin, forecast, models }
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Regular series of bucket averages before `origin`; gaps carry the previous value
+const toSeries = (points, dir, origin) => {
+  if (!points.length) return [];
+  const byBucket = new Map(points.map((p) => [new Date(p.bucketStart).getTime(), p[dir]]));
+  const start = new Date(points[0].bucketStart).getTime();
+  const series = [];
+  for (let t = start; t < origin; t += BUCKET_MS) {
+    const v = byBucket.get(t);
+    series.push(v == null ? (series.length ? series[series.length - 1] : 0) : v);
+  }
+  return series;
+};
+
+// ------------------- HOLT-WINTERS (additive) -------------------
+const fitHoltWinters = (y, m, alpha, gamma) => {
+  let level = mean(y.slice(0, m));
+  let trend = (mean(y.slice(m, 2 * m)) - level) / m;
+  const season = y.slice(0, m).map((v) => v - level);
+
+  let sse = 0;
+  for (let t = m; t < y.length; t++) {
+    const s = season[t % m];
+    const err = y[t] - (level + trend + s);
+    sse += err * err;
+    const nextLevel = alpha * (y[t] - s) + (1 - alpha) * (level + trend);
+    trend = BETA * (nextLevel - level) + (1 - BETA) * trend;
+    season[t % m] = gamma * (y[t] - nextLevel) + (1 - gamma) * s;
+    level = nextLevel;
+  }
+
+  const n = y.length;
+  return {
+    alpha,
+    gamma,
+    sse,
+    sigma: Math.sqrt(sse / (n - m)),
+    predict: (h) => level + h * trend + season[(n + h - 1) % m],
+    // h-step variance multiplier of the additive model
+    spread: (h) => {
+      let v = 1;
+      for (let j = 1; j < h; j++) v += (alpha * (1 + j * BETA) + (j % m === 0 ? gamma : 0)) ** 2;
+      return Math.sqrt(v);
+    },
+  };
+};
+
+const bestHoltWinters = (y, m) => {
+  let best = null;
+  ALPHAS.forEach((alpha) =>
+    GAMMAS.forEach((gamma) => {
+      const fit = fitHoltWinters(y, m, alpha, gamma);
+      if (!best || fit.sse < best.sse) best = fit;
+    })
+  );
+  return best;
+};
+
+// ------------------- NAIVE FALLBACK -------------------
+// Same bucket yesterday when a day of history exists, else the last value
+const fitNaive = (y) => {
+  const n = y.length;
+  const lag = n >= DAY ? DAY : 1;
+  const diffs = y.slice(lag).map((v, i) => v - y[i]);
+  const sigma = diffs.length > 1 ? Math.sqrt(mean(diffs.map((d) => d * d))) : null;
+  return {
+    sigma,
+    predict: (h) => (lag === 1 ? y[n - 1] : y[n - DAY + ((h - 1) % DAY)]),
+    spread: (h) => Math.sqrt(lag === 1 ? h : 1),
+  };
+};
+
+const chooseModel = (y) => {
+  if (y.length >= 2 * WEEK) return { method: "holt-winters", seasonLength: WEEK, fit: bestHoltWinters(y, WEEK) };
+  if (y.length >= 2 * DAY) return { method: "holt-winters", seasonLength: DAY, fit: bestHoltWinters(y, DAY) };
+  return { method: y.length >= DAY ? "seasonal-naive" : "naive", seasonLength: y.length >= DAY ? DAY : null, fit: fitNaive(y) };
+};
+
+const forecastValue = (fit, steps) => {
+  const value = Math.max(0, fit.predict(steps));
+  if (fit.sigma == null) return { value: round1(value), lower: null, upper: null };
+  const half = Z_95 * fit.sigma * fit.spread(steps);
+  return { value: round1(value), lower: round1(Math.max(0, value - half)), upper: round1(value + half) };
+};
+
+// Fit both directions of a road on the complete buckets before `origin`
+const fitRoad = async (road, origin) => {
+  const points = await getHistory({
+    road: road.code,
+    from: new Date(origin - LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+    to: new Date(origin),
+    bucketMs: BUCKET_MS,
+  });
+  if (!points.length) return null;
+
+  const models = {};
+  ["inbound", "outbound"].forEach((dir) => (models[dir] = chooseModel(toSeries(points, dir, origin))));
+
+  const forecast = {
+    road: road.code,
+    name: road.name,
+    origin: new Date(origin),
+    method: models.inbound.method,
+    seasonLength: models.inbound.seasonLength,
+    samples: points.length,
+    forecasts: HORIZONS.map((horizon) => {
+      const steps = horizon / 15;
+      const entry = { horizon, at: new Date(origin + steps * BUCKET_MS) };
+      ["inbound", "outbound"].forEach((dir) => {
+        entry[dir] = forecastValue(models[dir].fit, steps);
+        const capacity = directionCapacity(road, dir);
+        entry[`${dir}Los`] = capacity ? levelOfService(entry[dir].value / capacity) : null;
+      });
+      return entry;
+    }),
+  };
+
+  return { origin, forecast, models };
+};
+
+// ------------------- PUBLIC API -------------------
+/**
+ * Flow forecasts (veh/h, 95% interval) for one road 15, 30 and 60 minutes past
+ * the last complete bucket of its history. Returns null without any history.
+ * @param {Object} road - road document from the network
+ */
+export async function forecastRoad(road) {
+  const latest = await TrafficReading.findOne({ road: road.code, replay: null }).sort({ sampledAt: -1 }).select("sampledAt").lean();
+  if (!latest) return null;
+
+  const origin = Math.floor(latest.sampledAt.getTime() / BUCKET_MS) * BUCKET_MS;
+  const cached = cache.get(road.code);
+  if (cached && cached.origin === origin) return cached.forecast;
+
+  const entry = await fitRoad(road, origin);
+  if (!entry) return null;
+  cache.set(road.code, entry);
+  return entry.forecast;
+}
+
+/**
+ * Expected flow (veh/h) on a road at a future time, or null without history.
+ * Further out than a season the profile repeats.
+ * @param {Object} road - road document from the network
+ * @param {Date} at
+ * @returns {Promise<{inbound: number, outbound: number}|null>}
+ */
+export async function forecastFlowAt(road, at) {
+  if (!(await forecastRoad(road))) return null;
+  const { origin, models } = cache.get(road.code);
+  const steps = Math.max(1, Math.ceil((at.getTime() - origin) / BUCKET_MS));
+  const flow = {};
+  ["inbound", "outbound"].forEach((dir) => {
+    const { fit, seasonLength } = models[dir];
+    // keep trend extrapolation within one season of the origin
+    const h = seasonLength ? ((steps - 1) % seasonLength) + 1 : steps;
+    flow[dir] = Math.max(0, fit.predict(h));
+  });
+  return flow;
+}
+
+/**
+ * Forecasts for one road (by code) or for every active road
+ * @param {string} [roadCode]
+ */
+export async function getForecasts(roadCode) {
+  const { roads } = await getNetwork();
+  const selected = roadCode ? roads.filter((r) => r.code === roadCode) : roads;
+  const results = await Promise.all(selected.map((road) => forecastRoad(road)));
+  return results.filter(Boolean);
+}
@@ -0,0 +1,47 @@
+// File: backend/services/geo.js
+// Small geometry helpers. Coordinates follow GeoJSON order: [lng, lat].
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two [lng, lat] points, in kilometres
+ */
+export const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Total length of a polyline ([[lng, lat], ...]), in kilometres
+ */
+export const polylineLengthKm = (coords = []) => {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += haversineKm(coords[i - 1], coords[i]);
+  return total;
+};
+
+/**
+ * Shortest distance from a [lng, lat] point to a polyline ([[lng, lat], ...]), in kilometres.
+ * Projects onto a flat plane around the point, which is accurate at city scale.
+ */
+export const distanceToPolylineKm = (point, coords = []) => {
+  if (coords.length === 1) return haversineKm(point, coords[0]);
+  const ky = toRad(1) * EARTH_RADIUS_KM; // km per degree of latitude
+  const kx = ky * Math.cos(toRad(point[1])); // km per degree of longitude here
+  let best = Infinity;
+  for (let i = 1; i < coords.length; i++) {
+    const ax = (coords[i - 1][0] - point[0]) * kx;
+    const ay = (coords[i - 1][1] - point[1]) * ky;
+    const dx = (coords[i][0] - coords[i - 1][0]) * kx;
+    const dy = (coords[i][1] - coords[i - 1][1]) * ky;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return best;
+};
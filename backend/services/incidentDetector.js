@@ -0,0 +1,150 @@
+// File: backend/services/incidentDetector.js
+// Automatic incident detection on the per-road flow, speed and queue streams.
+// Every road direction keeps a baseline per time-of-day bin (hour of day,
+// weekday vs weekend). A sample is scored with z-scores against that baseline:
+//   - throughput drop: flow AND speed both far below normal for this time of day
+//   - queue spike:     upstream queue far above normal for this time of day
+// The condition must hold for several consecutive ticks before an "incident"
+// event is emitted, and a road direction is then quiet for a cooldown period.
+
+import { EventEmitter } from "events";
+import TrafficReading from "../models/TrafficReading.js";
+import { trafficClock } from "./trafficSimulator.js";
+
+const DIRECTIONS = [
+  ["inbound", "Inbound"],
+  ["outbound", "Outbound"],
+];
+
+// Weekday/weekend hour bucket, on the same clock as the simulator's demand curves
+const timeBin = (date) => {
+  const d = trafficClock(date);
+  const weekend = d.getUTCDay() === 0 || d.getUTCDay() === 6;
+  return `${weekend ? "we" : "wd"}:${d.getUTCHours()}`;
+};
+
+// ------------------- RUNNING STATISTICS (Welford) -------------------
+const emptyStat = () => ({ n: 0, mean: 0, m2: 0 });
+
+const addSample = (stat, x) => {
+  stat.n += 1;
+  const delta = x - stat.mean;
+  stat.mean += delta / stat.n;
+  stat.m2 += delta * (x - stat.mean);
+};
+
+const stdDev = (stat) => (stat.n > 1 ? Math.sqrt(stat.m2 / (stat.n - 1)) : 0);
+
+// z-score with a floor on the deviation so near-constant baselines do not explode
+const zScore = (stat, x, minStd) => (x - stat.mean) / Math.max(stdDev(stat), minStd);
+
+export class IncidentDetector extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.zThreshold=3] - |z| needed to count as anomalous
+   * @param {number} [options.minSamples=30] - baseline samples needed before testing a bin
+   * @param {number} [options.persistTicks=3] - consecutive anomalous ticks before raising
+   * @param {number} [options.cooldownMs=1800000] - quiet period per road direction after raising
+   */
+  constructor({ zThreshold = 3, minSamples = 30, persistTicks = 3, cooldownMs = 30 * 60 * 1000 } = {}) {
+    super();
+    Object.assign(this, { zThreshold, minSamples, persistTicks, cooldownMs });
+    this.baselines = new Map(); // "R1:inbound:wd:8" -> { flow, speed, queue }
+    this.streaks = new Map(); // "R1:inbound" -> consecutive anomalous ticks
+    this.cooldownUntil = new Map(); // "R1:inbound" -> timestamp
+  }
+
+  baseline(key) {
+    if (!this.baselines.has(key)) this.baselines.set(key, { flow: emptyStat(), speed: emptyStat(), queue: emptyStat() });
+    return this.baselines.get(key);
+  }
+
+  // Score one road direction; returns a detection or null
+  score(base, { flow, speed, queue }) {
+    if (base.flow.n < this.minSamples) return null;
+    const z = {
+      flow: zScore(base.flow, flow, 25), // veh/h
+      speed: speed == null ? 0 : zScore(base.speed, speed, 2), // km/h
+      queue: queue == null ? 0 : zScore(base.queue, queue, 3), // vehicles
+    };
+    if (z.flow <= -this.zThreshold && z.speed <= -this.zThreshold) return { kind: "throughput-drop", z };
+    if (z.queue >= this.zThreshold) return { kind: "queue-spike", z };
+    return null;
+  }
+
+  /**
+   * Feed one traffic tick ({ at, roads }) into the detector
+   */
+  observe({ at, roads }) {
+    const now = new Date(at).getTime();
+    const bin = timeBin(at);
+
+    roads.forEach((road) => {
+      DIRECTIONS.forEach(([dir, Dir]) => {
+        const sample = { flow: road[dir], speed: road[`speed${Dir}`], queue: road[`queue${Dir}`] };
+        if (sample.flow == null) return;
+
+        const stream = `${road.id}:${dir}`;
+        const base = this.baseline(`${stream}:${bin}`);
+        const hit = this.score(base, sample);
+
+        if (!hit) {
+          // only normal traffic teaches the baseline, so an incident does not become "normal"
+          this.streaks.set(stream, 0);
+          addSample(base.flow, sample.flow);
+          if (sample.speed != null) addSample(base.speed, sample.speed);
+          if (sample.queue != null) addSample(base.queue, sample.queue);
+          return;
+        }
+
+        const streak = (this.streaks.get(stream) || 0) + 1;
+        this.streaks.set(stream, streak);
+        if (streak < this.persistTicks || now < (this.cooldownUntil.get(stream) || 0)) return;
+
+        this.cooldownUntil.set(stream, now + this.cooldownMs);
+        this.emit("incident", {
+          road: road.id,
+          roadName: road.name,
+          direction: dir,
+          kind: hit.kind,
+          detectedAt: new Date(at),
+          flow: sample.flow,
+          expectedFlow: Math.round(base.flow.mean),
+          speed: sample.speed,
+          expectedSpeed: Math.round(base.speed.mean * 10) / 10,
+          queue: sample.queue,
+          zFlow: Math.round(hit.z.flow * 100) / 100,
+          zSpeed: Math.round(hit.z.speed * 100) / 100,
+          zQueue: Math.round(hit.z.queue * 100) / 100,
+        });
+      });
+    });
+  }
+
+  /**
+   * Prime the baselines from stored history so detection works right after a restart
+   * @param {number} days - how much history to learn from
+   */
+  async loadBaseline(days = 14) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const readings = TrafficReading.find({ sampledAt: { $gte: since }, replay: null })
+      .select("road sampledAt inbound outbound speedInbound speedOutbound queueInbound queueOutbound")
+      .sort({ sampledAt: 1 })
+      .lean()
+      .cursor();
+
+    let count = 0;
+    for await (const r of readings) {
+      const bin = timeBin(r.sampledAt);
+      DIRECTIONS.forEach(([dir, Dir]) => {
+        if (r[dir] == null) return;
+        const base = this.baseline(`${r.road}:${dir}:${bin}`);
+        addSample(base.flow, r[dir]);
+        if (r[`speed${Dir}`] != null) addSample(base.speed, r[`speed${Dir}`]);
+        if (r[`queue${Dir}`] != null) addSample(base.queue, r[`queue${Dir}`]);
+      });
+      count += 1;
+    }
+    return count;
+  }
+}
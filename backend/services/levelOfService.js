@@ -0,0 +1,56 @@
+// File: backend/services/levelOfService.js
+// Absolute congestion classification shared by every traffic endpoint.
+// Level of service follows the Highway Capacity Manual volume-to-capacity bands.
+
+// Upper v/c bound of each level; anything above the last band is F
+export const LOS_SCALE = [
+  { level: "A", maxVc: 0.6, label: "Free flow" },
+  { level: "B", maxVc: 0.7, label: "Reasonably free flow" },
+  { level: "C", maxVc: 0.8, label: "Stable flow" },
+  { level: "D", maxVc: 0.9, label: "Approaching unstable flow" },
+  { level: "E", maxVc: 1.0, label: "Unstable flow, at capacity" },
+  { level: "F", maxVc: Infinity, label: "Forced or breakdown flow" },
+];
+
+/**
+ * Volume-to-capacity ratio for one direction
+ * @param {number} volume - vehicles/hour
+ * @param {number} lanes
+ * @param {number} capacityPerLane - vehicles/hour/lane
+ */
+export const vcRatio = (volume, lanes, capacityPerLane) => {
+  const capacity = lanes * capacityPerLane;
+  if (!capacity || volume == null) return null;
+  return Math.round((volume / capacity) * 100) / 100;
+};
+
+/**
+ * A–F level of service for a v/c ratio (null when capacity is unknown)
+ */
+export const levelOfService = (vc) => (vc == null ? null : LOS_SCALE.find((b) => vc <= b.maxVc).level);
+
+// v/c of one direction. Served flow never exceeds capacity, so where the record carries demand
+// (served flow plus queue growth) and the capacity left open by blockages, those are used instead
+const directionVc = (record, dir, Dir, capacityPerLane) => {
+  const demand = record[`demand${Dir}`];
+  const available = record[`availableCapacity${Dir}`];
+  if (demand != null && available > 0) return Math.round((demand / available) * 100) / 100;
+  return vcRatio(record[dir], record[`lanes${Dir}`], capacityPerLane);
+};
+
+/**
+ * Add inboundVc/inboundLos/outboundVc/outboundLos to a state or history record
+ * that carries inbound, outbound, lanesInbound and lanesOutbound (and optionally
+ * demandInbound/Outbound with availableCapacityInbound/Outbound)
+ */
+export const withLevelOfService = (record, capacityPerLane = 1800) => {
+  const inboundVc = directionVc(record, "inbound", "Inbound", capacityPerLane);
+  const outboundVc = directionVc(record, "outbound", "Outbound", capacityPerLane);
+  return {
+    ...record,
+    inboundVc,
+    inboundLos: levelOfService(inboundVc),
+    outboundVc,
+    outboundLos: levelOfService(outboundVc),
+  };
+};
@@ -0,0 +1,157 @@
+// File: backend/services/loginThrottle.js
+// Brute-force protection for logins. Failures are counted per account and per
+// client address. After each failure the next attempt must wait twice as long
+// (LOGIN_BASE_DELAY_SEC, default 1, up to LOGIN_MAX_DELAY_SEC, default 60).
+// LOGIN_MAX_FAILURES (default 5) failures on an account, or LOGIN_IP_MAX_FAILURES
+// (default 20) from an address, lock it for LOGIN_LOCKOUT_MIN (default 15).
+// Counts start over after LOGIN_FAILURE_WINDOW_MIN (default 15) without failures
+// and a successful login clears the account's count.
+// Every attempt is counted atomically before its password is checked and refunded
+// when it succeeds, so concurrent requests cannot all slip past the limit.
+// Password reset requests are limited the same way under their own "reset:" keys:
+// RESET_MAX_PER_EMAIL (default 3) per account and RESET_IP_MAX (default 10) per
+// address within RESET_WINDOW_MIN (default 60).
+
+import LoginThrottle from "../models/LoginThrottle.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const keysFor = (email, ip) =>
+  [
+    email && { key: `email:${String(email).trim().toLowerCase()}`, kind: "email" },
+    ip && { key: `ip:${ip}`, kind: "ip" },
+  ].filter(Boolean);
+
+const maxFailures = (kind) => (kind === "email" ? setting("LOGIN_MAX_FAILURES", 5) : setting("LOGIN_IP_MAX_FAILURES", 20));
+
+const refund = (key) => LoginThrottle.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+
+// Count one attempt against `key`; answers the time (ms) it has to wait for, or 0 when it may go ahead
+const claim = async ({ key, kind }, now) => {
+  const windowMs = setting("LOGIN_FAILURE_WINDOW_MIN", 15) * MINUTE;
+  await LoginThrottle.updateOne({ key, lastFailureAt: { $lt: new Date(now.getTime() - windowMs) } }, { $set: { failures: 0 } });
+
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $setOnInsert: { kind },
+      $max: { expiresAt: new Date(now.getTime() + windowMs) },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+
+  // Refused attempts do not count: still waiting out a delay or lockout, or more attempts
+  // in flight than failures allowed (the ones already running decide on the lockout)
+  const until = Math.max(record.lockedUntil?.getTime() || 0, record.nextAttemptAt?.getTime() || 0);
+  const wait = until > now.getTime() ? until - now.getTime() : record.failures > maxFailures(kind) ? setting("LOGIN_LOCKOUT_MIN", 15) * MINUTE : 0;
+  if (wait) await refund(key);
+  return wait;
+};
+
+// Delay the next attempt after a failure, and lock the key once it reaches its limit
+const penalize = async ({ key, kind }, now) => {
+  const record = await LoginThrottle.findOne({ key });
+  if (!record) return;
+
+  const delay = Math.min(setting("LOGIN_BASE_DELAY_SEC", 1) * 2 ** (record.failures - 1), setting("LOGIN_MAX_DELAY_SEC", 60));
+  await LoginThrottle.updateOne({ key }, { $max: { nextAttemptAt: new Date(now.getTime() + delay * SECOND) } });
+
+  // only one of several concurrent failures finds the count at the limit and sets the lock
+  const lockedUntil = new Date(now.getTime() + setting("LOGIN_LOCKOUT_MIN", 15) * MINUTE);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { key, failures: { $gte: maxFailures(kind) } },
+    { $set: { lockedUntil, failures: 0 }, $inc: { lockouts: 1 }, $max: { expiresAt: lockedUntil } }
+  );
+  if (locked) console.warn(`🔒 Login locked for ${key} until ${lockedUntil.toISOString()}`);
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Count a login attempt for `email` from `ip` and say whether it may be checked now.
+ * Follow up with loginFailed() or loginSucceeded().
+ * @returns {Promise<{status: number, message: string, retryAfter: number}|null>} retryAfter in seconds
+ */
+export async function loginAttempt(email, ip, now = new Date()) {
+  const entries = keysFor(email, ip);
+  const waits = [];
+  for (const entry of entries) waits.push(await claim(entry, now));
+  const wait = Math.max(0, ...waits);
+  if (!wait) return null;
+
+  // a refused attempt does not count against the keys that let it through
+  await Promise.all(entries.filter((_, i) => !waits[i]).map((entry) => refund(entry.key)));
+  const retryAfter = Math.ceil(wait / SECOND);
+  return {
+    status: 429,
+    message:
+      retryAfter > setting("LOGIN_MAX_DELAY_SEC", 60)
+        ? `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} min.`
+        : `Too many failed logins. Try again in ${retryAfter} s.`,
+    retryAfter,
+  };
+}
+
+/**
+ * The attempt failed: it stays counted and the next one is delayed (or locked out)
+ */
+export async function loginFailed(email, ip, now = new Date()) {
+  for (const entry of keysFor(email, ip)) await penalize(entry, now);
+}
+
+/**
+ * The attempt succeeded: the account's failures are cleared and the address gets its attempt back
+ */
+export async function loginSucceeded(email, ip) {
+  await LoginThrottle.deleteMany({ key: { $in: keysFor(email).map((k) => k.key) } });
+  if (ip) await refund(keysFor(null, ip)[0].key);
+}
+
+/**
+ * Count a password reset request for `email` from `ip` and say whether it may be sent.
+ * Each key allows a fixed number of requests per window, counted whether or not the account exists.
+ * @returns {Promise<{status: number, message: string, retryAfter: number}|null>} retryAfter in seconds
+ */
+export async function resetRequestAttempt(email, ip, now = new Date()) {
+  const windowMs = setting("RESET_WINDOW_MIN", 60) * MINUTE;
+  const limit = { email: setting("RESET_MAX_PER_EMAIL", 3), ip: setting("RESET_IP_MAX", 10) };
+
+  let wait = 0;
+  for (const { key, kind } of keysFor(email, ip)) {
+    const resetKey = `reset:${key}`;
+    await LoginThrottle.deleteOne({ key: resetKey, expiresAt: { $lte: now } }); // window over, TTL not run yet
+    const record = await LoginThrottle.findOneAndUpdate(
+      { key: resetKey },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now }, $setOnInsert: { kind, expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true, returnDocument: "after" }
+    );
+    if (record.failures > limit[kind]) wait = Math.max(wait, record.expiresAt.getTime() - now.getTime());
+  }
+  if (!wait) return null;
+
+  const retryAfter = Math.ceil(wait / SECOND);
+  return { status: 429, message: `Too many reset requests. Try again in ${Math.ceil(retryAfter / 60)} min.`, retryAfter };
+}
+
+/**
+ * Throttled and locked accounts and addresses, locked ones first
+ */
+export const listThrottles = (now = new Date()) =>
+  LoginThrottle.find({ $or: [{ lockedUntil: { $gt: now } }, { nextAttemptAt: { $gt: now } }, { failures: { $gt: 0 } }] }).sort({
+    lockedUntil: -1,
+    lastFailureAt: -1,
+  });
+
+/**
+ * Clear one throttle record by id
+ * @returns {Promise<Object|null>} the removed record
+ */
+export const clearThrottle = (id) => LoginThrottle.findByIdAndDelete(id);
@@ -0,0 +1,86 @@
+// File: backend/services/mailer.js
+// Outgoing email. MAIL_TRANSPORT picks the transport:
+//   console – prints the message (default, for local development)
+//   file    – writes each message as JSON under MAIL_DIR (default mail/)
+//   smtp    – nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (SMTP_SECURE=true for TLS)
+// Other transports register a factory with registerTransport().
+// A transport implements send({ from, to, subject, text, html }) -> Promise.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const factories = new Map();
+let active = null;
+
+const consoleTransport = () => ({
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+const fileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_DIR || "mail");
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}.json`;
+      await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+    },
+  };
+};
+
+// nodemailer is only loaded when SMTP is selected
+const smtpTransport = () => {
+  const transporter = import("nodemailer").then(({ default: nodemailer }) =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    })
+  );
+  return {
+    async send(message) {
+      await (await transporter).sendMail(message);
+    },
+  };
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Make a mail transport available under `name`
+ * @param {string} name - value of MAIL_TRANSPORT that selects it
+ * @param {function} factory - returns { send }
+ */
+export function registerTransport(name, factory) {
+  factories.set(name, factory);
+  active = null;
+}
+
+registerTransport("console", consoleTransport);
+registerTransport("file", fileTransport);
+registerTransport("smtp", smtpTransport);
+
+/**
+ * The configured transport (created on first use so .env values loaded after import apply)
+ */
+export function getTransport() {
+  if (!active) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown mail transport "${name}"`);
+    active = factory();
+  }
+  return active;
+}
+
+/**
+ * Send an email from MAIL_FROM
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ */
+export async function sendMail(message) {
+  const from = process.env.MAIL_FROM || "AI Traffic <no-reply@localhost>";
+  await getTransport().send({ from, ...message });
+}
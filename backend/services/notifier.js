@@ -0,0 +1,46 @@
+// File: backend/services/notifier.js
+// In-app notifications. Every notification is stored for its recipient (read via
+// /api/notifications) and emitted as "notification" so live channels can push it.
+
+import { EventEmitter } from "events";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { ALL_PERMISSIONS } from "../models/Role.js";
+import { rolesWith } from "./permissions.js";
+
+const events = new EventEmitter();
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Subscribe to new notifications; the listener receives the saved document
+ * @returns {function} unsubscribe
+ */
+export function onNotification(listener) {
+  events.on("notification", listener);
+  return () => events.off("notification", listener);
+}
+
+/**
+ * Notify one or more users
+ * @param {string|string[]} users - user ids
+ * @param {{type: string, title: string, message?: string, report?: string}} content
+ * @returns {Promise<Object[]>} the stored notifications
+ */
+export async function notify(users, content) {
+  const ids = [...new Set((Array.isArray(users) ? users : [users]).filter(Boolean).map(String))];
+  if (!ids.length) return [];
+  const saved = await Notification.insertMany(ids.map((user) => ({ ...content, user })));
+  saved.forEach((n) => events.emit("notification", n));
+  return saved;
+}
+
+/**
+ * Notify every active user whose role grants `permission` (admins included)
+ * @param {string} permission - e.g. "dispatch:assign"
+ */
+export async function notifyPermitted(permission, content) {
+  const roles = [...(await rolesWith(permission)), ...(await rolesWith(ALL_PERMISSIONS))];
+  const users = await User.find({ role: { $in: roles }, active: { $ne: false } }).select("_id").lean();
+  return notify(users.map((u) => u._id), content);
+}
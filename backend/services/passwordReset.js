@@ -0,0 +1,54 @@
+// File: backend/services/passwordReset.js
+// Single-use password reset tokens. The token is emailed to the user and only
+// its SHA-256 is stored; it expires after RESET_TOKEN_TTL_MIN (default 30) and
+// requesting a new one cancels the previous ones.
+
+import crypto from "crypto";
+import PasswordReset from "../models/PasswordReset.js";
+import { sendMail } from "./mailer.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const ttlMinutes = () => {
+  const value = Number(process.env.RESET_TOKEN_TTL_MIN);
+  return Number.isFinite(value) && value > 0 ? value : 30;
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Issue a reset token for `user` and email them the link to APP_URL/reset-password
+ */
+export async function sendResetLink(user) {
+  await PasswordReset.deleteMany({ user: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const minutes = ttlMinutes();
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+  });
+
+  const link = `${process.env.APP_URL || "http://localhost:5173"}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.firstName || ""},\n\nUse this link within ${minutes} minutes to choose a new password:\n${link}\n\nIf you did not ask for a reset, ignore this email; your password stays the same.`,
+  });
+}
+
+/**
+ * Use up a reset token
+ * @returns {Promise<string|null>} the user id, or null when the token is unknown, used or expired
+ */
+export async function consumeResetToken(token) {
+  const now = new Date();
+  const reset = await PasswordReset.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+  if (!reset) return null;
+  await PasswordReset.deleteMany({ user: reset.user, usedAt: null });
+  return String(reset.user);
+}
@@ -0,0 +1,70 @@
+// File: backend/services/permissions.js
+// What each role may do. Role definitions are the built-in DEFAULT_ROLES overlaid
+// with the ones stored in MongoDB, cached for ROLE_CACHE_MS (default 30 s) and
+// reloaded at once after an edit through invalidateRoles().
+
+import Role, { DEFAULT_ROLES, ALL_PERMISSIONS } from "../models/Role.js";
+
+let cache = null;
+let loadedAt = 0;
+
+const cacheMs = () => {
+  const value = Number(process.env.ROLE_CACHE_MS);
+  return Number.isFinite(value) && value >= 0 ? value : 30 * 1000;
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Every role by name: { name, description, permissions, builtIn, customized }
+ */
+export async function loadRoles() {
+  if (cache && Date.now() - loadedAt < cacheMs()) return cache;
+
+  const roles = new Map(
+    Object.entries(DEFAULT_ROLES).map(([name, role]) => [name, { name, ...role, builtIn: true, customized: false }])
+  );
+  for (const stored of await Role.find().lean()) {
+    if (stored.name === "admin") continue; // admin always keeps every permission
+    roles.set(stored.name, {
+      name: stored.name,
+      description: stored.description,
+      permissions: stored.permissions,
+      builtIn: Boolean(DEFAULT_ROLES[stored.name]),
+      customized: Boolean(DEFAULT_ROLES[stored.name]),
+    });
+  }
+  cache = roles;
+  loadedAt = Date.now();
+  return roles;
+}
+
+/**
+ * Drop the cached definitions after a role is created, edited or deleted
+ */
+export const invalidateRoles = () => {
+  cache = null;
+};
+
+/**
+ * Permissions of a role ([] for unknown roles)
+ */
+export const permissionsFor = async (role) => (await loadRoles()).get(role)?.permissions || [];
+
+/**
+ * Names of the roles that grant `permission` explicitly (admin's wildcard does not count)
+ */
+export const rolesWith = async (permission) =>
+  [...(await loadRoles()).values()].filter((r) => r.permissions.includes(permission)).map((r) => r.name);
+
+/**
+ * Whether an authenticated user (req.user, with the permissions protect() attached) has `permission`
+ */
+export const hasPermission = (user, permission) =>
+  Boolean(user?.permissions?.includes(ALL_PERMISSIONS) || user?.permissions?.includes(permission));
+
+/**
+ * The permissions in `permissions` that `user` does not hold, and so may not hand out.
+ * The wildcard is only held by admins, so only they can grant it.
+ */
+export const ungrantable = (user, permissions = []) => permissions.filter((p) => !hasPermission(user, p));
@@ -0,0 +1,141 @@
+// File: backend/services/reportClustering.js
+// Groups repeated reports of the same incident.
+// A new report joins an open incident (a report that is not itself a duplicate)
+// filed within CLUSTER_WINDOW_MIN minutes and CLUSTER_RADIUS_M metres of it, or on
+// the same road direction for detector reports without a location. When several
+// incidents qualify, each is scored on closeness (1 on the spot, 0 at the radius)
+// and text similarity together, so a matching description can beat a slightly
+// nearer but unrelated incident; on the same road only the text counts.
+// Joined reports become "duplicate" children (duplicateOf) of the incident.
+
+import Report from "../models/Report.js";
+import { haversineKm } from "./geo.js";
+import { ASSIGNED_STATUSES, TRANSITIONS, applyTransition } from "./reportWorkflow.js";
+
+const OPEN_STATUSES = ["new", "verified", "dispatched", "on-scene"];
+const MAX_CANDIDATES = 50;
+const DISTANCE_WEIGHT = 0.6; // the rest of the match score is text similarity
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Read on use so .env values loaded after import still apply
+const radiusKm = () => setting("CLUSTER_RADIUS_M", 300) / 1000;
+const windowMs = () => setting("CLUSTER_WINDOW_MIN", 60) * 60 * 1000;
+
+const words = (text = "") => new Set(String(text).toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+
+/**
+ * Jaccard similarity of the word sets of two texts (0–1)
+ */
+export const textSimilarity = (a, b) => {
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  wa.forEach((w) => wb.has(w) && shared++);
+  return shared / (wa.size + wb.size - shared);
+};
+
+const reportText = (r) => `${r.title} ${r.description}`;
+
+/**
+ * Best open incident for a not-yet-saved report, or null
+ */
+export async function findIncident(report) {
+  const at = report.createdAt || new Date();
+  const query = {
+    _id: { $ne: report._id },
+    duplicateOf: null,
+    status: { $in: OPEN_STATUSES },
+    createdAt: { $gte: new Date(at.getTime() - windowMs()), $lte: at },
+  };
+
+  // $nearSphere keeps the search inside the radius on the 2dsphere index and returns the nearest first
+  const point = report.location?.coordinates?.length ? report.location.coordinates : null;
+  if (point) {
+    query.location = { $nearSphere: { $geometry: { type: "Point", coordinates: point }, $maxDistance: radiusKm() * 1000 } };
+  } else if (report.road) Object.assign(query, { road: report.road, direction: report.direction });
+  else return null;
+
+  const score = (c) => {
+    const closeness = point ? Math.max(0, 1 - haversineKm(point, c.location.coordinates) / radiusKm()) : 1;
+    return DISTANCE_WEIGHT * closeness + (1 - DISTANCE_WEIGHT) * textSimilarity(reportText(report), reportText(c));
+  };
+  const candidates = (await Report.find(query).select("title description location road direction").limit(MAX_CANDIDATES).lean())
+    .map((c) => ({ incident: c, score: score(c) }))
+    .sort((a, b) => b.score - a.score);
+
+  return candidates.length ? candidates[0].incident : null;
+}
+
+const adjustChildCount = (incidentId, delta) => Report.updateOne({ _id: incidentId }, { $inc: { childCount: delta } });
+
+/**
+ * Why `report` cannot be merged into `incident`, or null when it can
+ */
+export const mergeProblem = (report, incident) => {
+  if (String(report._id) === String(incident._id)) return "A report cannot be merged into itself";
+  if (incident.duplicateOf) return "Reports can only be merged into an incident, not into a duplicate";
+  if (report.status !== "duplicate" && !TRANSITIONS[report.status].includes("duplicate")) {
+    return `A ${report.status} report cannot be merged`;
+  }
+  return null;
+};
+
+/**
+ * Make `report` a duplicate child of `incident` (caller saves the report).
+ * Children of `report` move to `incident` too. Check mergeProblem() first.
+ */
+export async function mergeInto(report, incident, actor, note) {
+  const moved = await Report.updateMany({ duplicateOf: report._id }, { duplicateOf: incident._id });
+  if (report.duplicateOf) await adjustChildCount(report.duplicateOf, -1);
+
+  if (report.status !== "duplicate") applyTransition(report, "duplicate", actor, note || `Duplicate of ${incident._id}`);
+  report.duplicateOf = incident._id;
+  report.childCount = 0;
+  await adjustChildCount(incident._id, 1 + (moved.modifiedCount || 0));
+  return report;
+}
+
+/**
+ * Detach a duplicate from its incident so it stands on its own again (caller saves).
+ * Only for reports with duplicateOf set.
+ */
+export async function splitFromIncident(report, actor, note) {
+  await adjustChildCount(report.duplicateOf, -1);
+  report.duplicateOf = null;
+  applyTransition(report, "new", actor, note || "Split from incident");
+  return report;
+}
+
+/**
+ * Keep the cluster consistent before `report` is deleted: its incident loses a child, and its own
+ * children are not left pointing at a missing incident. The earliest child takes over as the incident
+ * (with the deleted one's status, minus the responder) and the others become its duplicates.
+ */
+export async function releaseCluster(report, actor) {
+  if (report.duplicateOf) await adjustChildCount(report.duplicateOf, -1);
+
+  const heir = await Report.findOne({ duplicateOf: report._id }).sort({ createdAt: 1 });
+  if (!heir) return null;
+  const moved = await Report.updateMany({ duplicateOf: report._id, _id: { $ne: heir._id } }, { duplicateOf: heir._id });
+
+  const status = ASSIGNED_STATUSES.includes(report.status) ? "verified" : report.status;
+  applyTransition(heir, status, actor, `Took over incident ${report._id}, which was deleted`);
+  heir.duplicateOf = null;
+  heir.childCount = moved.modifiedCount || 0;
+  if (report.expiresAt && (!heir.expiresAt || heir.expiresAt < report.expiresAt)) heir.expiresAt = report.expiresAt;
+  return heir.save();
+}
+
+/**
+ * Cluster a freshly created report before it is saved
+ */
+export async function clusterNewReport(report) {
+  const incident = await findIncident(report);
+  if (!incident) return report;
+  return mergeInto(report, incident, { id: null, role: "system" }, `Clustered with incident ${incident._id}`);
+}
@@ -0,0 +1,119 @@
+// File: backend/services/reportConfidence.js
+// Community verification of reports.
+// Each user casts one confirm/dispute vote per report. A vote's weight is fixed
+// when cast: how close the voter is to the incident times how often their past
+// votes agreed with the final outcome. The report's confidence is the weighted
+// share of confirmations, starting from an even prior that stands in for the
+// reporter's own claim. High confidence verifies a new report; strong dispute
+// rejects it.
+
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import { haversineKm } from "./geo.js";
+import { CONFIRMED_STATUSES, applyTransition } from "./reportWorkflow.js";
+
+const NEAR_KM = 1; // voters within this distance count fully
+const UNKNOWN_DISTANCE_WEIGHT = 0.5;
+const PRIOR = 1; // pseudo-votes on each side
+
+const threshold = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Read on use so .env values loaded after import still apply
+const settings = () => ({
+  verifyAt: threshold("REPORT_VERIFY_CONFIDENCE", 0.75),
+  rejectAt: threshold("REPORT_REJECT_CONFIDENCE", 0.25),
+  minVotes: threshold("REPORT_MIN_VOTES", 3),
+});
+
+/**
+ * 1 within NEAR_KM of the incident, fading to 0.2 far away; 0.5 when either location is unknown
+ */
+export const distanceWeight = (distanceKm) => {
+  if (distanceKm == null) return UNKNOWN_DISTANCE_WEIGHT;
+  if (distanceKm <= NEAR_KM) return 1;
+  return Math.max(0.2, NEAR_KM / distanceKm);
+};
+
+/**
+ * Share of a user's votes on decided reports that matched the outcome (Laplace-smoothed, 0.5 for newcomers).
+ * A duplicate was a real incident reported twice, so it counts like a confirmed one; expired reports were
+ * never decided and do not count.
+ */
+export async function trackRecord(userId) {
+  userId = new mongoose.Types.ObjectId(String(userId)); // aggregate does not cast
+  const real = [...CONFIRMED_STATUSES, "duplicate"];
+  const [row] = await Report.aggregate([
+    { $match: { "votes.user": userId, status: { $in: [...real, "rejected"] } } },
+    { $unwind: "$votes" },
+    { $match: { "votes.user": userId } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        correct: {
+          $sum: {
+            $cond: [
+              {
+                $or: [
+                  { $and: [{ $eq: ["$votes.vote", "confirm"] }, { $in: ["$status", real] }] },
+                  { $and: [{ $eq: ["$votes.vote", "dispute"] }, { $eq: ["$status", "rejected"] }] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return row ? (row.correct + 1) / (row.total + 2) : 0.5;
+}
+
+/**
+ * Recompute confidence and vote counts from the stored votes
+ */
+export const scoreReport = (report) => {
+  let confirm = PRIOR;
+  let dispute = PRIOR;
+  report.votes.forEach((v) => (v.vote === "confirm" ? (confirm += v.weight) : (dispute += v.weight)));
+  report.confidence = Math.round((confirm / (confirm + dispute)) * 1000) / 1000;
+  report.confirmCount = report.votes.filter((v) => v.vote === "confirm").length;
+  report.disputeCount = report.votes.length - report.confirmCount;
+  return report;
+};
+
+/**
+ * Record (or change) a user's vote, rescore and apply automatic verification/rejection.
+ * The caller saves the report.
+ * @param {Object} report - Report document
+ * @param {{id: string}} user
+ * @param {"confirm"|"dispute"} vote
+ * @param {number[]} [point] - voter position [lng, lat]
+ */
+export async function castVote(report, user, vote, point) {
+  const distanceKm = point && report.location?.coordinates?.length ? haversineKm(point, report.location.coordinates) : null;
+  const weight = distanceWeight(distanceKm) * (0.5 + (await trackRecord(user.id)));
+
+  report.votes = report.votes.filter((v) => String(v.user) !== String(user.id));
+  report.votes.push({
+    user: user.id,
+    vote,
+    weight: Math.round(weight * 1000) / 1000,
+    distanceKm: distanceKm == null ? null : Math.round(distanceKm * 100) / 100,
+    at: new Date(),
+  });
+  scoreReport(report);
+
+  if (report.status !== "new" || report.votes.length < settings().minVotes) return report;
+  const system = { id: null, role: "system" };
+  if (report.confidence >= settings().verifyAt) {
+    applyTransition(report, "verified", system, `Verified by the community (confidence ${report.confidence})`);
+  } else if (report.confidence <= settings().rejectAt) {
+    applyTransition(report, "rejected", system, `Rejected: disputed by the community (confidence ${report.confidence})`);
+  }
+  return report;
+}
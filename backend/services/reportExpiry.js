@@ -0,0 +1,106 @@
+// File: backend/services/reportExpiry.js
+// Retires reports nobody has updated. Unconfirmed (new) reports past their expiry
+// become expired (not rejected: nobody said they were false, so votes on them do
+// not count towards anyone's track record), verified ones are resolved and closed,
+// and resolved incidents are
+// closed once they have been quiet for REPORT_CLOSE_AFTER_MIN. Reporters are told
+// when their report expires. A "still there" confirmation pushes the expiry back.
+// Expiry times come from reportWorkflow (per-category time to live).
+
+import Report from "../models/Report.js";
+import { EXPIRING_STATUSES, applyTransition, expiryFor, lastsUntilEnd, ttlMinutes } from "./reportWorkflow.js";
+import { notify } from "./notifier.js";
+
+const MINUTE = 60 * 1000;
+const SYSTEM = { id: null, role: "system" };
+const BATCH = 500;
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Reports filed before expiry existed get one from their filing time
+const backfill = async () => {
+  const missing = await Report.find({ status: { $in: EXPIRING_STATUSES }, expiresAt: null }).limit(BATCH);
+  for (const report of missing) {
+    report.expiresAt = expiryFor(report, report.createdAt);
+    await report.save();
+  }
+};
+
+const expire = async (report, now) => {
+  const ended = lastsUntilEnd(report);
+  const note = ended ? "Expired: its end date has passed" : `Expired: no update within the ${report.category} time limit`;
+  const quietMin = Math.round((now - (report.lastSeenAt || report.createdAt)) / MINUTE);
+  let message;
+  if (ended) {
+    message = `Its end date (${report.endsAt.toISOString().slice(0, 16).replace("T", " ")} UTC) has passed, so it was closed.`;
+  } else if (report.status === "new") {
+    message = `No one confirmed it within ${quietMin} min, so it expired.`;
+  } else {
+    message = `It was verified, then closed after ${quietMin} min without updates.`;
+  }
+  if (report.status === "new") {
+    applyTransition(report, "expired", SYSTEM, note);
+  } else {
+    applyTransition(report, "resolved", SYSTEM, note);
+    applyTransition(report, "closed", SYSTEM, note);
+  }
+  await report.save();
+  await notify(report.reporter, {
+    type: "expired",
+    title: `Your report has expired: ${report.title}`,
+    message: `${message} Report it again if it is still there.`,
+    report: report._id,
+  });
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Record a "still there" confirmation: the report lives at least another time to live
+ * (capped at STILL_THERE_MAX_MIN, default 24 h) from now. Caller saves.
+ */
+export const stillThere = (report, now = new Date()) => {
+  const minutes = Math.min(ttlMinutes(report.category), setting("STILL_THERE_MAX_MIN", 24 * 60));
+  const extended = new Date(now.getTime() + minutes * MINUTE);
+  if (!report.expiresAt || report.expiresAt < extended) report.expiresAt = extended;
+  report.lastSeenAt = now;
+  report.stillThereCount += 1;
+  return report;
+};
+
+/**
+ * Expire lapsed reports and close quiet resolved ones
+ * @returns {Promise<{expired: number, closed: number}>}
+ */
+export async function expireReports(now = new Date()) {
+  await backfill();
+
+  const lapsed = await Report.find({
+    status: { $in: EXPIRING_STATUSES },
+    duplicateOf: null,
+    expiresAt: { $lte: now },
+  }).limit(BATCH);
+  for (const report of lapsed) await expire(report, now);
+
+  const quietSince = new Date(now.getTime() - setting("REPORT_CLOSE_AFTER_MIN", 24 * 60) * MINUTE);
+  const stale = await Report.find({ status: "resolved", updatedAt: { $lte: quietSince } }).limit(BATCH);
+  for (const report of stale) {
+    applyTransition(report, "closed", SYSTEM, "Closed automatically after resolution");
+    await report.save();
+  }
+  return { expired: lapsed.length, closed: stale.length };
+}
+
+/**
+ * Run expireReports() every REPORT_EXPIRY_CHECK_MS (default 5 min)
+ */
+export function startExpiryJob(intervalMs = Number(process.env.REPORT_EXPIRY_CHECK_MS) || 5 * MINUTE) {
+  const run = () =>
+    expireReports()
+      .then(({ expired, closed }) => (expired || closed) && console.log(`Expired ${expired} report(s), closed ${closed}`))
+      .catch((err) => console.error("Report expiry failed:", err.message));
+  return setInterval(run, intervalMs);
+}
@@ -0,0 +1,122 @@
+// File: backend/services/reportExport.js
+// Incident reports as GIS-friendly files: GeoJSON FeatureCollection, CSV with
+// lat/lng columns and KML placemarks. Reports without a location keep their
+// attributes and get no geometry (null geometry, empty lat/lng, no <Point>).
+
+// Flat attributes shared by every format, in column order
+const COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "category",
+  "severity",
+  "status",
+  "confidence",
+  "confirmCount",
+  "disputeCount",
+  "source",
+  "address",
+  "road",
+  "direction",
+  "duplicateOf",
+  "childCount",
+  "createdAt",
+  "updatedAt",
+];
+
+const iso = (value) => (value ? new Date(value).toISOString() : null);
+
+const attributes = (r) => ({
+  id: String(r._id),
+  title: r.title,
+  description: r.description,
+  category: r.category,
+  severity: r.severity,
+  status: r.status,
+  confidence: r.confidence ?? null,
+  confirmCount: r.confirmCount ?? 0,
+  disputeCount: r.disputeCount ?? 0,
+  source: r.source,
+  address: r.address ?? null,
+  road: r.road ?? null,
+  direction: r.direction ?? null,
+  duplicateOf: r.duplicateOf ? String(r.duplicateOf) : null,
+  childCount: r.childCount ?? 0,
+  createdAt: iso(r.createdAt),
+  updatedAt: iso(r.updatedAt),
+  ...(r.distanceKm !== undefined && { distanceKm: r.distanceKm }),
+});
+
+const coordinates = (r) => (r.location?.coordinates?.length === 2 ? r.location.coordinates : null);
+
+// RFC 4180 quoting; cells starting with = + - @ are prefixed so spreadsheets do not run them as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xml = (value) =>
+  String(value ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * GeoJSON FeatureCollection (RFC 7946) with the report attributes as properties
+ */
+export const toGeoJSON = (reports) => ({
+  type: "FeatureCollection",
+  features: reports.map((r) => {
+    const point = coordinates(r);
+    return {
+      type: "Feature",
+      id: String(r._id),
+      geometry: point ? { type: "Point", coordinates: point } : null,
+      properties: attributes(r),
+    };
+  }),
+});
+
+/**
+ * CSV with a header row, the report attributes and lat / lng columns
+ */
+export const toCSV = (reports) => {
+  const extra = reports.some((r) => r.distanceKm !== undefined) ? ["distanceKm"] : [];
+  const header = [...COLUMNS, ...extra, "lat", "lng"];
+  const lines = reports.map((r) => {
+    const row = attributes(r);
+    const point = coordinates(r);
+    return [...COLUMNS, ...extra].map((c) => row[c]).concat(point ? [point[1], point[0]] : ["", ""]).map(csvCell).join(",");
+  });
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
+};
+
+/**
+ * KML 2.2 document, one placemark per report with the attributes as ExtendedData
+ */
+export const toKML = (reports) => {
+  const placemarks = reports.map((r) => {
+    const point = coordinates(r);
+    const data = Object.entries(attributes(r))
+      .filter(([, value]) => value != null)
+      .map(([name, value]) => `<Data name="${name}"><value>${xml(value)}</value></Data>`)
+      .join("");
+    return [
+      "<Placemark>",
+      `<name>${xml(r.title)}</name>`,
+      `<description>${xml(r.description)}</description>`,
+      r.createdAt ? `<TimeStamp><when>${iso(r.createdAt)}</when></TimeStamp>` : "",
+      `<ExtendedData>${data}</ExtendedData>`,
+      point ? `<Point><coordinates>${point[0]},${point[1]}</coordinates></Point>` : "",
+      "</Placemark>",
+    ].join("");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Incidents</name>',
+    ...placemarks,
+    "</Document></kml>",
+    "",
+  ].join("\n");
+};
@@ -0,0 +1,285 @@
+// File: backend/services/reportImport.js
+// Imports incidents from partner-agency feed files into reports (source "import").
+// Supported formats:
+//   datex2  – DATEX II situation publication (XML)
+//   cifs    – Waze Closure and Incident Feed Specification (JSON)
+//   open511 – Open511 events (JSON)
+// Each format is parsed into plain records { id, title, description, category,
+// severity, point, address, endsAt }. An event already imported from the same
+// feed (same id) is updated in place, and resolved once the feed marks it ended
+// or archived; a new one is clustered against existing reports (see
+// reportClustering), so events already reported by users become duplicates of
+// their incident instead of new entries. Events that have already ended are only
+// imported as updates.
+
+import { XMLParser } from "fast-xml-parser";
+import Report from "../models/Report.js";
+import { clusterNewReport } from "./reportClustering.js";
+import { applyTransition } from "./reportWorkflow.js";
+
+export const IMPORT_FORMATS = ["datex2", "cifs", "open511"];
+
+const MAX_RECORDS = 5000;
+const TITLE_MAX = 120;
+const LIVE_STATUSES = ["new", "verified", "dispatched", "on-scene"]; // resolved when the feed ends the event
+const list = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+const text = (value) => (value == null ? "" : typeof value === "object" ? String(value["#text"] ?? "") : String(value)).trim();
+
+// [lng, lat] when both are valid numbers
+const lngLat = (lng, lat) => {
+  [lng, lat] = [Number(lng), Number(lat)];
+  return Number.isFinite(lng) && Number.isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90 ? [lng, lat] : null;
+};
+
+// ------------------- DATEX II -------------------
+
+const DATEX_CATEGORIES = {
+  Accident: "accident",
+  AbnormalTraffic: "congestion",
+  Roadworks: "roadwork",
+  MaintenanceWorks: "roadwork",
+  ConstructionWorks: "roadwork",
+  VehicleObstruction: "breakdown",
+  GeneralObstruction: "hazard",
+  AnimalPresenceObstruction: "hazard",
+  EnvironmentalObstruction: "hazard",
+  NonWeatherRelatedRoadConditions: "hazard",
+  PoorEnvironmentConditions: "weather",
+  WeatherRelatedRoadConditions: "weather",
+  RoadOrCarriagewayOrLaneManagement: "closure",
+};
+const DATEX_SEVERITIES = { highest: "critical", high: "high", medium: "medium", low: "low", lowest: "low" };
+
+// First latitude/longitude pair anywhere below a location element (point coordinates, locationForDisplay, ...)
+const findCoordinates = (node) => {
+  if (!node || typeof node !== "object") return null;
+  if (node.latitude !== undefined && node.longitude !== undefined) return lngLat(text(node.longitude), text(node.latitude));
+  for (const child of Object.values(node)) {
+    const found = Array.isArray(child) ? child.map(findCoordinates).find(Boolean) : findCoordinates(child);
+    if (found) return found;
+  }
+  return null;
+};
+
+const parseDatex2 = (content) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@",
+    removeNSPrefix: true,
+    isArray: (name) => ["situation", "situationRecord", "value", "generalPublicComment"].includes(name),
+  });
+  const doc = parser.parse(content);
+  const publication = doc.d2LogicalModel?.payloadPublication;
+  if (!publication) throw new Error("Not a DATEX II document (no d2LogicalModel/payloadPublication)");
+
+  return list(publication.situation).flatMap((situation) =>
+    list(situation.situationRecord).map((record) => {
+      const type = record["@type"];
+      const comments = list(record.generalPublicComment).flatMap((c) => list(c.comment?.values?.value)).map(text).filter(Boolean);
+      const validity = record.validity?.validityTimeSpecification || {};
+      return {
+        id: record["@id"], // newer versions of a record keep its id and update the report
+        title: comments[0] || (type ? type.replace(/([a-z])([A-Z])/g, "$1 $2") : ""),
+        description: comments.join(" "),
+        category: DATEX_CATEGORIES[type] || "other",
+        severity: DATEX_SEVERITIES[text(record.severity || situation.overallSeverity)] || "medium",
+        point: findCoordinates(record.groupOfLocations),
+        address: text(record.groupOfLocations?.locationForDisplay?.description) || undefined,
+        endsAt: validity.overallEndTime,
+      };
+    })
+  );
+};
+
+// ------------------- CIFS -------------------
+
+const CIFS_CATEGORIES = { ACCIDENT: "accident", CONSTRUCTION: "roadwork", ROAD_CLOSED: "closure", HAZARD: "hazard" };
+
+const cifsCategory = (type, subtype = "") => {
+  if (subtype.startsWith("HAZARD_WEATHER")) return "weather";
+  if (subtype === "HAZARD_ON_ROAD_CAR_STOPPED" || subtype === "HAZARD_ON_SHOULDER_CAR_STOPPED") return "breakdown";
+  return CIFS_CATEGORIES[type] || "other";
+};
+
+const parseCifs = (doc) =>
+  list(Array.isArray(doc) ? doc : doc.incidents).map((incident) => {
+    const location = incident.location || incident; // CIFS v2 nests street/polyline under location
+    const coords = String(location.polyline || "").trim().split(/\s+/).map(Number); // "lat lon lat lon ..."
+    const street = location.street || incident.street;
+    const type = String(incident.type || "").toUpperCase();
+    return {
+      id: incident.id != null ? String(incident.id) : undefined,
+      title: incident.description || (type ? `${type.replace(/_/g, " ").toLowerCase()}${street ? ` on ${street}` : ""}` : ""),
+      description: incident.description,
+      category: cifsCategory(type, incident.subtype),
+      severity: type === "ROAD_CLOSED" || incident.subtype === "ACCIDENT_MAJOR" ? "high" : "medium",
+      point: coords.length >= 2 ? lngLat(coords[1], coords[0]) : null,
+      address: street,
+      endsAt: incident.endtime,
+    };
+  });
+
+// ------------------- OPEN511 -------------------
+
+const OPEN511_SEVERITIES = { MINOR: "low", MODERATE: "medium", MAJOR: "high" };
+
+const open511Category = (type, subtypes) => {
+  if (subtypes.includes("ACCIDENT")) return "accident";
+  if (type === "CONSTRUCTION") return "roadwork";
+  if (type === "WEATHER_CONDITION") return "weather";
+  if (type === "INCIDENT" || type === "ROAD_CONDITION") return "hazard";
+  return "other";
+};
+
+// A representative point of a GeoJSON geometry: the point itself or the first vertex
+const firstPosition = (geometry) => {
+  let coords = geometry?.coordinates;
+  while (Array.isArray(coords) && Array.isArray(coords[0])) coords = coords[0];
+  return Array.isArray(coords) ? lngLat(coords[0], coords[1]) : null;
+};
+
+const parseOpen511 = (doc) =>
+  list(doc.events).map((event) => {
+    const type = String(event.event_type || "").toUpperCase();
+    const subtypes = list(event.event_subtypes).map((s) => String(s).toUpperCase());
+    const road = list(event.roads)[0];
+    return {
+      id: event.id != null ? String(event.id) : undefined,
+      title: event.headline || type.replace(/_/g, " ").toLowerCase(),
+      description: event.description,
+      category: open511Category(type, subtypes),
+      severity: OPEN511_SEVERITIES[String(event.severity).toUpperCase()] || "medium",
+      point: firstPosition(event.geography),
+      address: road ? [road.name, road.from && `from ${road.from}`, road.to && `to ${road.to}`].filter(Boolean).join(" ") : undefined,
+      archived: String(event.status).toUpperCase() === "ARCHIVED",
+      endsAt: list(event.schedule?.intervals)[0]?.split?.("/")[1],
+    };
+  });
+
+// A record as Report fields, or the reason it cannot be imported; the third entry says why
+// the event is over (archived or ended), or is null while it is live
+const toReport = (record, now) => {
+  if (!record.id) return [null, "Record has no id"];
+  if (!record.title && !record.description) return [null, "Record has no description"];
+  if (!record.point && !record.address) return [null, "Record has no location"];
+  const ended = record.archived
+    ? "Event is archived"
+    : record.endsAt && new Date(record.endsAt) < now
+      ? "Event has already ended"
+      : null;
+
+  const title = String(record.title || record.description).trim();
+  return [
+    {
+      title: title.length > TITLE_MAX ? `${title.slice(0, TITLE_MAX - 3)}...` : title,
+      description: String(record.description || record.title).trim(),
+      category: record.category,
+      severity: record.severity,
+      ...(record.point && { location: { type: "Point", coordinates: record.point } }),
+      ...(record.address && { address: record.address }),
+      ...(record.endsAt && { endsAt: new Date(record.endsAt) }),
+    },
+    null,
+    ended,
+  ];
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Guess the format of a feed file from its content
+ * @returns {string|null} one of IMPORT_FORMATS
+ */
+export function detectFormat(content) {
+  const start = content.trimStart();
+  if (start.startsWith("<")) return /d2LogicalModel/.test(start) ? "datex2" : null;
+  try {
+    const doc = JSON.parse(start);
+    if (Array.isArray(doc) || Array.isArray(doc.incidents)) return "cifs";
+    if (Array.isArray(doc.events)) return "open511";
+  } catch {
+    // not JSON either
+  }
+  return null;
+}
+
+/**
+ * Parse a feed file into plain records
+ * @throws when the file is not valid for the format
+ */
+export function parseFeed(content, format) {
+  if (format === "datex2") return parseDatex2(content);
+  if (content.trimStart().startsWith("<")) throw new Error(`Only JSON ${format} files are supported`);
+  const doc = JSON.parse(content);
+  return format === "cifs" ? parseCifs(doc) : parseOpen511(doc);
+}
+
+/**
+ * Create or refresh reports for parsed records.
+ * @param {Object[]} records - from parseFeed()
+ * @param {{format: string, feed: string}} options - feed is the agency name shown as the reporter
+ * @returns {Promise<Object>} summary { format, feed, total, created, updated, resolved, unchanged, duplicates, skipped,
+ *   rejected: [{index, id, reason}] }; resolved counts imported reports the feed has ended, skipped records
+ *   another import of the same feed created meanwhile
+ */
+export async function importRecords(records, { format, feed }) {
+  const summary = { format, feed, total: records.length, created: 0, updated: 0, resolved: 0, unchanged: 0, duplicates: 0, skipped: 0, rejected: [] };
+  if (records.length > MAX_RECORDS) {
+    summary.rejected = [{ index: null, id: null, reason: `A file may contain at most ${MAX_RECORDS} records` }];
+    return summary;
+  }
+
+  const now = new Date();
+  const seen = new Set();
+  for (const [index, record] of records.entries()) {
+    const [fields, reason, ended] = toReport(record, now);
+    const { id } = record;
+    if (!fields) {
+      summary.rejected.push({ index, id: id ?? null, reason });
+      continue;
+    }
+    if (seen.has(id)) {
+      summary.rejected.push({ index, id, reason: "Duplicate id in this file" });
+      continue;
+    }
+    seen.add(id);
+
+    let report = null;
+    try {
+      const existing = await Report.findOne({ "external.feed": feed, "external.id": id });
+      if (existing) {
+        existing.set(fields);
+        if (ended && LIVE_STATUSES.includes(existing.status)) {
+          applyTransition(existing, "resolved", { id: null, role: "system" }, `${ended} in the ${feed} feed`);
+          await existing.save();
+          summary.resolved++;
+          continue;
+        }
+        const changed = existing.isModified();
+        await existing.save();
+        summary[changed ? "updated" : "unchanged"]++;
+        continue;
+      }
+      if (ended) {
+        summary.rejected.push({ index, id, reason: ended });
+        continue;
+      }
+
+      report = new Report({ ...fields, source: "import", reporterName: feed, external: { feed, format, id } });
+      await report.validate();
+      await clusterNewReport(report);
+      await report.save();
+      summary[report.duplicateOf ? "duplicates" : "created"]++;
+    } catch (err) {
+      // a concurrent import saved this feed id first (unique external.feed + external.id)
+      if (err.code === 11000) {
+        if (report?.duplicateOf) await Report.updateOne({ _id: report.duplicateOf }, { $inc: { childCount: -1 } });
+        summary.skipped++;
+        continue;
+      }
+      if (err.name !== "ValidationError" && err.name !== "CastError") throw err;
+      summary.rejected.push({ index, id, reason: err.message });
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,185 @@
+// File: backend/services/reportMedia.js
+// Photos and short videos attached to reports.
+// Images are decoded, turned upright and re-encoded, which drops their EXIF/XMP
+// metadata (camera, owner, timestamps, GPS); the GPS position is read first and
+// only returned as a location suggestion. Each image also gets a small WebP
+// thumbnail. Videos are probed and remuxed with ffmpeg (FFMPEG_PATH / FFPROBE_PATH):
+// only the video and audio streams are copied, without container or stream tags,
+// chapters, or data streams such as timed GPS tracks.
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import sharp from "sharp";
+import exifr from "exifr";
+import { getStorage } from "./attachmentStorage.js";
+
+export const IMAGE_TYPES = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+export const VIDEO_TYPES = { "video/mp4": "mp4", "video/webm": "webm", "video/quicktime": "mov" };
+
+const THUMB_WIDTH = 320;
+const MB = 1024 * 1024;
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+
+const run = promisify(execFile);
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// [lng, lat] from the image's EXIF GPS tags, or null
+const exifLocation = async (file) => {
+  try {
+    const gps = await exifr.gps(file);
+    if (!gps || !Number.isFinite(gps.latitude) || !Number.isFinite(gps.longitude)) return null;
+    return [gps.longitude, gps.latitude];
+  } catch {
+    return null; // no or unreadable EXIF
+  }
+};
+
+// Duration in seconds as ffprobe reads it, or null when the file is not a video it can parse
+const videoDuration = async (file) => {
+  try {
+    const { stdout } = await run(
+      process.env.FFPROBE_PATH || "ffprobe",
+      ["-v", "error", "-select_streams", "v:0", "-show_entries", "format=duration:stream=codec_type", "-of", "json", file],
+      { timeout: FFMPEG_TIMEOUT_MS }
+    );
+    const probe = JSON.parse(stdout);
+    const duration = Number(probe.format?.duration);
+    return probe.streams?.length && Number.isFinite(duration) ? duration : null;
+  } catch (err) {
+    if (err.code === "ENOENT") throw err;
+    return null;
+  }
+};
+
+// Copy the video and audio streams of `file` into a fresh container of the same type, leaving out
+// global and per-stream tags, chapters, subtitle and data streams; bitexact keeps ffmpeg from
+// writing its own encoder tag and creation time
+const remuxVideo = async (file, mimetype) => {
+  const ext = VIDEO_TYPES[mimetype];
+  const out = path.join(os.tmpdir(), `${crypto.randomUUID()}.${ext}`);
+  try {
+    await run(
+      process.env.FFMPEG_PATH || "ffmpeg",
+      [
+        "-v", "error", "-i", file,
+        "-map", "0:v", "-map", "0:a?", "-c", "copy",
+        "-map_metadata", "-1", "-map_metadata:s", "-1", "-map_chapters", "-1",
+        "-fflags", "+bitexact", "-flags:v", "+bitexact", "-flags:a", "+bitexact",
+        ...(ext === "webm" ? [] : ["-movflags", "+faststart"]),
+        "-f", ext, "-y", out,
+      ],
+      { timeout: FFMPEG_TIMEOUT_MS }
+    );
+    return await fs.promises.readFile(out);
+  } catch (err) {
+    if (err.code === "ENOENT" && err.path !== out) throw err;
+    return null;
+  } finally {
+    await fs.promises.rm(out, { force: true });
+  }
+};
+
+// Stored attachment fields for a checked video upload, or { error, status }
+const storeVideo = async (base, file) => {
+  const unreadable = { status: 400, error: `${file.originalname} is not a readable video` };
+  let data;
+  try {
+    const duration = await videoDuration(file.path);
+    if (duration === null) return unreadable;
+    const max = attachmentLimits().videoSeconds;
+    if (duration > max) return { status: 413, error: `${file.originalname}: videos cannot be longer than ${max} seconds` };
+    data = await remuxVideo(file.path, file.mimetype);
+    if (!data) return unreadable;
+  } catch (err) {
+    // ffmpeg / ffprobe not installed
+    if (err.code === "ENOENT") return { status: 415, error: `${file.originalname}: videos cannot be processed on this server` };
+    throw err;
+  }
+
+  const key = `${base}.${VIDEO_TYPES[file.mimetype]}`;
+  await getStorage().put(key, data, file.mimetype);
+  return { key, size: data.length };
+};
+
+// ------------------- PUBLIC API -------------------
+
+/**
+ * Size and count limits, read on use so .env values loaded after import still apply
+ */
+export const attachmentLimits = () => ({
+  imageBytes: setting("ATTACHMENT_MAX_IMAGE_MB", 10) * MB,
+  videoBytes: setting("ATTACHMENT_MAX_VIDEO_MB", 25) * MB,
+  videoSeconds: setting("ATTACHMENT_MAX_VIDEO_SEC", 60),
+  perUpload: setting("ATTACHMENT_MAX_FILES", 5),
+  perReport: setting("ATTACHMENT_MAX_PER_REPORT", 10),
+});
+
+/**
+ * "image", "video" or null for unsupported MIME types
+ */
+export const attachmentKind = (mimetype) => (IMAGE_TYPES[mimetype] ? "image" : VIDEO_TYPES[mimetype] ? "video" : null);
+
+/**
+ * Why an uploaded file (multer disk file) is not accepted, or null
+ * @returns {{status: number, message: string}|null}
+ */
+export const checkUpload = (file) => {
+  const kind = attachmentKind(file.mimetype);
+  if (!kind) return { status: 415, message: `${file.originalname}: only JPEG, PNG, WebP images and MP4, WebM, MOV videos are accepted` };
+
+  const max = kind === "image" ? attachmentLimits().imageBytes : attachmentLimits().videoBytes;
+  if (file.size > max) return { status: 413, message: `${file.originalname}: ${kind}s cannot exceed ${max / MB} MB` };
+  return null;
+};
+
+/**
+ * Store one checked upload (read from its temporary file.path) for a report.
+ * @returns {Promise<{attachment: Object, gps: number[]|null}|{error: string, status: number}>} attachment
+ *   fields and the photo's [lng, lat] if it has one; { error, status } when the file cannot be processed
+ */
+export async function storeAttachment(reportId, file, user) {
+  const kind = attachmentKind(file.mimetype);
+  const base = `reports/${reportId}/${crypto.randomUUID()}`;
+  const attachment = { kind, contentType: file.mimetype, originalName: file.originalname, uploadedBy: user.id };
+
+  if (kind === "video") {
+    const { error, status, ...stored } = await storeVideo(base, file);
+    return error ? { error, status } : { attachment: { ...attachment, ...stored }, gps: null };
+  }
+
+  const gps = await exifLocation(file.path);
+  let image;
+  try {
+    // rotate() applies the EXIF orientation; sharp writes no metadata unless asked to.
+    // Encoding to the declared type keeps the stored bytes and contentType in step.
+    image = await sharp(file.path).rotate().toFormat(file.mimetype.split("/")[1]).toBuffer({ resolveWithObject: true });
+  } catch {
+    return { status: 400, error: `${file.originalname} is not a readable image` };
+  }
+  const thumb = await sharp(image.data).resize({ width: THUMB_WIDTH, withoutEnlargement: true }).webp({ quality: 70 }).toBuffer();
+
+  const key = `${base}.${IMAGE_TYPES[file.mimetype]}`;
+  const thumbKey = `${base}-thumb.webp`;
+  await getStorage().put(key, image.data, file.mimetype);
+  await getStorage().put(thumbKey, thumb, "image/webp");
+  return {
+    attachment: { ...attachment, key, thumbKey, size: image.data.length, width: image.info.width, height: image.info.height },
+    gps,
+  };
+}
+
+/**
+ * Delete an attachment's files (best effort)
+ */
+export async function removeAttachment(attachment) {
+  const storage = getStorage();
+  await Promise.all([attachment.key, attachment.thumbKey].filter(Boolean).map((key) => storage.remove(key).catch(() => {})));
+}
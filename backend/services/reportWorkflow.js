@@ -0,0 +1,122 @@
+// File: backend/services/reportWorkflow.js
+// Incident lifecycle: which status a report may move to next and who may move it.
+//
+//   new -> verified -> dispatched -> on-scene -> resolved -> closed
+//   new / verified -> rejected | duplicate
+//   new -> expired (by the expiry job only: nobody confirmed it in time)
+//
+// Every change is appended to report.history with the actor, time and note.
+// Who may move a report depends on the permissions of their role; users who may
+// only respond (dispatch:respond) may only move incidents assigned to them.
+
+import { hasPermission } from "./permissions.js";
+
+export const REPORT_STATUSES = ["new", "verified", "dispatched", "on-scene", "resolved", "closed", "rejected", "duplicate", "expired"];
+
+// Statuses in which the incident is known to be real
+export const CONFIRMED_STATUSES = ["verified", "dispatched", "on-scene", "resolved", "closed"];
+
+// Statuses in which a responder is working the incident
+export const ASSIGNED_STATUSES = ["dispatched", "on-scene"];
+
+export const TRANSITIONS = {
+  new: ["verified", "rejected", "duplicate"],
+  verified: ["dispatched", "resolved", "rejected", "duplicate"],
+  dispatched: ["on-scene", "resolved"],
+  "on-scene": ["resolved"],
+  resolved: ["closed", "verified"], // verified again = reopened
+  closed: [],
+  rejected: ["new"],
+  duplicate: ["new"],
+  expired: ["new"],
+};
+
+// Permissions allowing a move into each status (any one of them)
+export const TRANSITION_PERMISSIONS = {
+  new: ["reports:verify"],
+  verified: ["reports:verify"],
+  dispatched: ["dispatch:assign"],
+  "on-scene": ["reports:verify", "dispatch:respond"],
+  resolved: ["reports:verify", "dispatch:respond"],
+  closed: ["reports:verify"],
+  rejected: ["reports:verify"],
+  duplicate: ["reports:verify"],
+  expired: [], // set by the expiry job, never by hand
+};
+
+// ------------------- EXPIRY -------------------
+// Open reports without news expire after a per-category time to live, in minutes
+// (REPORT_TTL_<CATEGORY>_MIN overrides). Roadworks and closures with an end date
+// (endsAt) last until that date instead.
+
+export const TTL_DEFAULTS = {
+  congestion: 60,
+  accident: 240,
+  breakdown: 120,
+  hazard: 180,
+  weather: 360,
+  closure: 720,
+  roadwork: 7 * 24 * 60,
+  other: 240,
+};
+const UNTIL_END_CATEGORIES = ["roadwork", "closure"];
+
+// Statuses that expire; dispatched incidents are closed by their responders
+export const EXPIRING_STATUSES = ["new", "verified"];
+
+/**
+ * Time to live of a category in minutes (read on use so .env values loaded after import apply)
+ */
+export const ttlMinutes = (category) => {
+  const value = Number(process.env[`REPORT_TTL_${String(category).toUpperCase()}_MIN`]);
+  return Number.isFinite(value) && value > 0 ? value : TTL_DEFAULTS[category] || TTL_DEFAULTS.other;
+};
+
+/**
+ * Whether the report lasts until its end date rather than for its category's time to live
+ */
+export const lastsUntilEnd = (report) => UNTIL_END_CATEGORIES.includes(report.category) && !!report.endsAt;
+
+/**
+ * When a report filed at `from` expires
+ */
+export const expiryFor = (report, from = new Date()) => {
+  if (lastsUntilEnd(report)) return new Date(report.endsAt);
+  return new Date(new Date(from).getTime() + ttlMinutes(report.category) * 60 * 1000);
+};
+
+/**
+ * Why `user` may not move `report` to status `to`, or null when allowed
+ * @returns {{status: number, message: string}|null}
+ */
+export const checkTransition = (report, to, user) => {
+  if (!REPORT_STATUSES.includes(to)) {
+    return { status: 400, message: `Status must be one of: ${REPORT_STATUSES.join(", ")}` };
+  }
+  if (!TRANSITIONS[report.status].includes(to)) {
+    return { status: 400, message: `A ${report.status} report cannot become ${to}` };
+  }
+  const granted = TRANSITION_PERMISSIONS[to].filter((p) => hasPermission(user, p));
+  if (!granted.length) {
+    return { status: 403, message: `Your role cannot mark reports as ${to}` };
+  }
+  if (granted.every((p) => p === "dispatch:respond") && String(report.assignment?.responder) !== String(user.id)) {
+    return { status: 403, message: "Only the assigned responder can update this incident" };
+  }
+  if (to === "dispatched" && !report.assignment) {
+    return { status: 400, message: "Assign a responder to dispatch this incident" };
+  }
+  return null;
+};
+
+/**
+ * Move a report to a new status and record it in its history (caller saves).
+ * Leaving dispatch ends the current responder assignment.
+ */
+export const applyTransition = (report, to, user, note) => {
+  const at = new Date();
+  report.history.push({ from: report.status, to, actor: user.id, role: user.role, note, at });
+  report.status = to;
+  if (report.assignment && !ASSIGNED_STATUSES.includes(to)) Object.assign(report.assignment, { endedAt: at, endReason: "closed" });
+  return report;
+};
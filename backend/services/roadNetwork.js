@@ -0,0 +1,109 @@
+// File: backend/services/roadNetwork.js
+// Single source of truth for the road network. Traffic state, the map and
+// route planning all read roads and intersections through getNetwork().
+
+import mongoose from "mongoose";
+import Road from "../models/Road.js";
+import Intersection from "../models/Intersection.js";
+
+// ------------------- DEFAULT NETWORK -------------------
+// Seeded into an empty database so a fresh install behaves like the old hard-coded R1–R4
+const DEFAULT_INTERSECTIONS = [
+  { code: "I1", name: "Central Hub", location: { type: "Point", coordinates: [32.5825, 0.3476] } },
+  { code: "I2", name: "East Junction", location: { type: "Point", coordinates: [32.595, 0.3476] } },
+  { code: "I3", name: "South-East Circle", location: { type: "Point", coordinates: [32.595, 0.335] } },
+  { code: "I4", name: "South Junction", location: { type: "Point", coordinates: [32.5825, 0.335] } },
+];
+
+const DEFAULT_ROADS = [
+  { code: "R1", name: "Main St", from: "I1", to: "I2" },
+  { code: "R2", name: "Station Rd", from: "I2", to: "I3" },
+  { code: "R3", name: "Market St", from: "I3", to: "I4" },
+  { code: "R4", name: "Lake Dr", from: "I4", to: "I1" },
+];
+
+let cache = null;
+let offline = null;
+
+const buildDefaultRoads = (intersections) => {
+  const byCode = Object.fromEntries(intersections.map((i) => [i.code, i]));
+  return DEFAULT_ROADS.map(({ code, name, from, to }) => ({
+    code,
+    name,
+    lanesInbound: 2,
+    lanesOutbound: 2,
+    segments: [
+      {
+        name,
+        from: byCode[from]._id,
+        to: byCode[to]._id,
+        geometry: {
+          type: "LineString",
+          coordinates: [byCode[from].location.coordinates, byCode[to].location.coordinates],
+        },
+      },
+    ],
+  }));
+};
+
+/**
+ * Insert the default network when no roads exist yet
+ */
+export async function seedDefaultNetwork() {
+  if ((await Road.estimatedDocumentCount()) > 0) return false;
+
+  let intersections = await Intersection.find({ code: { $in: DEFAULT_INTERSECTIONS.map((i) => i.code) } });
+  if (intersections.length < DEFAULT_INTERSECTIONS.length) {
+    const existing = new Set(intersections.map((i) => i.code));
+    await Intersection.insertMany(DEFAULT_INTERSECTIONS.filter((i) => !existing.has(i.code)));
+    intersections = await Intersection.find({ code: { $in: DEFAULT_INTERSECTIONS.map((i) => i.code) } });
+  }
+
+  // Go through the model so segment lengths and road geometry are derived
+  await Promise.all(buildDefaultRoads(intersections).map((r) => new Road(r).save()));
+  return true;
+}
+
+// Used when the database is unreachable, so the traffic API keeps answering
+const offlineNetwork = () => {
+  if (offline) return offline;
+  const intersections = DEFAULT_INTERSECTIONS.map((i) => ({ ...i, _id: new mongoose.Types.ObjectId() }));
+  const roads = buildDefaultRoads(intersections).map((r) => new Road(r).deriveGeometry().toObject());
+  offline = { roads, intersections };
+  return offline;
+};
+
+/**
+ * Active roads and all intersections, cached until the network is edited
+ * @returns {Promise<{roads: Object[], intersections: Object[]}>}
+ */
+export async function getNetwork() {
+  if (cache) return cache;
+  try {
+    await seedDefaultNetwork();
+    const [roads, intersections] = await Promise.all([
+      Road.find({ active: true }).sort({ code: 1 }).lean(),
+      Intersection.find().sort({ code: 1 }).lean(),
+    ]);
+    cache = { roads, intersections };
+  } catch (err) {
+    console.error("Failed to load road network, using defaults:", err.message);
+    return offlineNetwork();
+  }
+  return cache;
+}
+
+/**
+ * Drop the cached network; call after any road or intersection change
+ */
+export function invalidateNetwork() {
+  cache = null;
+}
+
+/**
+ * Hourly capacity of one direction of a road (vehicles/hour)
+ */
+export const directionCapacity = (road, direction) => {
+  const lanes = direction === "inbound" ? road.lanesInbound : road.lanesOutbound;
+  return lanes * road.capacityPerLane;
+};
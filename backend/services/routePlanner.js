@@ -0,0 +1,246 @@
+// File: backend/services/routePlanner.js
+// Shortest-time routes over the road network.
+// Intersections are the graph nodes and every road segment gives up to two
+// directed edges (inbound = segment from -> to, outbound = the reverse, when
+// that direction has lanes). Edge weights are travel times: the live speed on
+// the road when leaving now, otherwise the BPR volume-delay curve applied to the
+// forecast flow at the departure time. A* searches the graph with a straight-line
+// heuristic; alternatives are found by penalising the edges of routes already found.
+
+import { getNetwork } from "./roadNetwork.js";
+import { getTrafficState } from "./trafficState.js";
+import { forecastFlowAt } from "./forecaster.js";
+import { haversineKm } from "./geo.js";
+import { vcRatio, levelOfService } from "./levelOfService.js";
+
+export const LIVE_WINDOW_MS = 5 * 60 * 1000; // departures this close to now (either way) use the live state
+const ALTERNATIVE_PENALTY = 1.5; // weight multiplier on edges of routes already found
+const MAX_STRETCH = 1.6; // alternatives may take at most this much longer than the best route
+
+// Bureau of Public Roads volume-delay function
+const bprFactor = (vc) => 1 + 0.15 * Math.pow(Math.max(0, vc), 4);
+
+const segmentValue = (seg, road, key) => (seg[key] != null ? seg[key] : road[key]);
+
+// ------------------- GRAPH -------------------
+const buildGraph = ({ roads, intersections }) => {
+  const nodes = new Map(intersections.map((i) => [String(i._id), i]));
+  const edges = new Map(); // node id -> outgoing edges
+
+  roads.forEach((road) => {
+    road.segments.forEach((seg) => {
+      const coords = seg.geometry?.coordinates || [];
+      const from = String(seg.from);
+      const to = String(seg.to);
+      if (!nodes.has(from) || !nodes.has(to)) return;
+
+      [
+        ["inbound", from, to, coords],
+        ["outbound", to, from, [...coords].reverse()],
+      ].forEach(([direction, a, b, geometry]) => {
+        const lanes = segmentValue(seg, road, direction === "inbound" ? "lanesInbound" : "lanesOutbound");
+        if (!lanes) return;
+        if (!edges.has(a)) edges.set(a, []);
+        edges.get(a).push({
+          key: `${String(seg._id)}:${direction}`,
+          from: a,
+          to: b,
+          road,
+          segment: seg,
+          direction,
+          lanes,
+          lengthKm: seg.lengthKm || haversineKm(nodes.get(a).location.coordinates, nodes.get(b).location.coordinates),
+          geometry,
+        });
+      });
+    });
+  });
+
+  return { nodes, edges };
+};
+
+// ------------------- TRAVEL TIMES -------------------
+// Minutes to traverse an edge, with the speed and level of service used
+const edgeCost = (edge, live, forecast) => {
+  const { road, segment, direction } = edge;
+  const Dir = direction === "inbound" ? "Inbound" : "Outbound";
+  const speedLimit = segmentValue(segment, road, "speedLimit");
+
+  let flow = null;
+  let speed = null;
+  if (forecast) {
+    flow = forecast[direction];
+  } else if (live) {
+    flow = live[direction];
+    if (live[`speed${Dir}`] > 0) speed = Math.min(live[`speed${Dir}`], speedLimit);
+  }
+
+  const vc = flow == null ? null : vcRatio(flow, edge.lanes, segmentValue(segment, road, "capacityPerLane"));
+  if (speed == null) speed = speedLimit / bprFactor(vc || 0);
+
+  return { minutes: (edge.lengthKm / speed) * 60, speed: Math.round(speed * 10) / 10, los: levelOfService(vc) };
+};
+
+// Travel time of every edge for the given departure
+const weighEdges = async (graph, network, departAt) => {
+  const live = Math.abs(departAt.getTime() - Date.now()) <= LIVE_WINDOW_MS;
+  const state = Object.fromEntries(getTrafficState().getState().map((r) => [r.id, r]));
+
+  const forecasts = {};
+  if (!live) {
+    await Promise.all(
+      network.roads.map(async (road) => {
+        forecasts[road.code] = await forecastFlowAt(road, departAt).catch(() => null);
+      })
+    );
+  }
+
+  const costs = new Map();
+  graph.edges.forEach((list) =>
+    list.forEach((edge) => costs.set(edge.key, edgeCost(edge, state[edge.road.code], forecasts[edge.road.code])))
+  );
+  const basis = live ? "live" : Object.values(forecasts).some(Boolean) ? "forecast" : "live";
+  return { costs, basis };
+};
+
+// ------------------- SEARCH -------------------
+const aStar = (graph, weight, start, goal, maxSpeed) => {
+  const goalCoords = graph.nodes.get(goal).location.coordinates;
+  const heuristic = (id) => (haversineKm(graph.nodes.get(id).location.coordinates, goalCoords) / maxSpeed) * 60;
+
+  const best = new Map([[start, 0]]);
+  const via = new Map(); // node id -> edge used to reach it
+  const open = new Map([[start, heuristic(start)]]);
+  const closed = new Set();
+
+  while (open.size) {
+    let current = null;
+    open.forEach((f, id) => {
+      if (current === null || f < open.get(current)) current = id;
+    });
+    if (current === goal) break;
+    open.delete(current);
+    closed.add(current);
+
+    (graph.edges.get(current) || []).forEach((edge) => {
+      if (closed.has(edge.to)) return;
+      const g = best.get(current) + weight(edge);
+      if (best.has(edge.to) && g >= best.get(edge.to)) return;
+      best.set(edge.to, g);
+      via.set(edge.to, edge);
+      open.set(edge.to, g + heuristic(edge.to));
+    });
+  }
+
+  if (!best.has(goal)) return null;
+  const path = [];
+  for (let node = goal; node !== start; node = via.get(node).from) path.unshift(via.get(node));
+  return path;
+};
+
+const describeRoute = (path, costs, departAt) => {
+  const coordinates = [];
+  let minutes = 0;
+  let distanceKm = 0;
+
+  const steps = path.map((edge) => {
+    const cost = costs.get(edge.key);
+    minutes += cost.minutes;
+    distanceKm += edge.lengthKm;
+    edge.geometry.forEach((p, i) => {
+      if (i === 0 && coordinates.length) return; // shared intersection
+      coordinates.push(p);
+    });
+    return {
+      road: edge.road.code,
+      name: edge.segment.name || edge.road.name,
+      direction: edge.direction,
+      lengthKm: Math.round(edge.lengthKm * 1000) / 1000,
+      durationMin: Math.round(cost.minutes * 10) / 10,
+      speed: cost.speed,
+      los: cost.los,
+    };
+  });
+
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationMin: Math.round(minutes * 10) / 10,
+    eta: new Date(departAt.getTime() + minutes * 60 * 1000),
+    geometry: { type: "LineString", coordinates },
+    steps,
+  };
+};
+
+// ------------------- PUBLIC API -------------------
+/**
+ * Nearest intersection to a [lng, lat] point
+ * @param {Object[]} intersections
+ * @param {number[]} point
+ */
+export const nearestIntersection = (intersections, point) => {
+  let nearest = null;
+  let nearestKm = Infinity;
+  intersections.forEach((i) => {
+    const km = haversineKm(i.location.coordinates, point);
+    if (km < nearestKm) [nearest, nearestKm] = [i, km];
+  });
+  return nearest;
+};
+
+/**
+ * Fastest route plus alternatives between two intersections
+ * @param {Object} query
+ * @param {Object} query.from - intersection document
+ * @param {Object} query.to - intersection document
+ * @param {Date} [query.departAt=now]
+ * @param {number} [query.alternatives=2] - how many alternatives to look for
+ * @returns {Promise<{basis: string, routes: Object[]}>} routes[0] is the fastest; empty when unreachable
+ */
+export async function planRoute({ from, to, departAt = new Date(), alternatives = 2 }) {
+  const network = await getNetwork();
+  const graph = buildGraph(network);
+  const { costs, basis } = await weighEdges(graph, network, departAt);
+  // the fastest limit keeps the A* heuristic admissible; without any road there is no route
+  const speeds = network.roads.flatMap((r) => [r.speedLimit, ...r.segments.map((s) => s.speedLimit)]).filter((v) => v > 0);
+  const maxSpeed = Math.max(...speeds);
+
+  const start = String(from._id);
+  const goal = String(to._id);
+  if (start === goal || !speeds.length || !graph.nodes.has(start) || !graph.nodes.has(goal)) return { basis, routes: [] };
+
+  const penalties = new Map();
+  const seen = new Set();
+  const routes = [];
+
+  for (let attempt = 0; attempt <= alternatives * 2 && routes.length <= alternatives; attempt++) {
+    const path = aStar(graph, (e) => costs.get(e.key).minutes * (penalties.get(e.key) || 1), start, goal, maxSpeed);
+    if (!path) break;
+    path.forEach((e) => penalties.set(e.key, (penalties.get(e.key) || 1) * ALTERNATIVE_PENALTY));
+
+    const signature = path.map((e) => e.key).join(">");
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+
+    const route = describeRoute(path, costs, departAt);
+    if (routes.length && route.durationMin > routes[0].durationMin * MAX_STRETCH) break;
+    routes.push(route);
+  }
+
+  return { basis, routes };
+}
+
+/**
+ * Intersection referenced by code ("I1") or by a "lat,lng" pair (snapped to the nearest one)
+ * @returns {Promise<Object|null>}
+ */
+export async function resolveIntersection(value) {
+  const { intersections } = await getNetwork();
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value));
+  if (match) return nearestIntersection(intersections, [Number(match[2]), Number(match[1])]);
+  const code = String(value).trim().toUpperCase();
+  return (
+    intersections.find((i) => i.code.toUpperCase() === code) ||
+    intersections.find((i) => i.name.toLowerCase() === String(value).trim().toLowerCase()) ||
+    null
+  );
+}
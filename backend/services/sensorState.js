@@ -0,0 +1,59 @@
+// File: backend/services/sensorState.js
+// Latest detector measurements per road and direction. Readings may arrive
+// late or out of order; a lane only moves forward to a newer observation.
+
+import SensorReading from "../models/SensorReading.js";
+
+// Measurements older than this no longer describe the road (SENSOR_STALE_MS)
+const staleAfterMs = () => Number(process.env.SENSOR_STALE_MS) || 5 * 60 * 1000;
+
+// "R1:inbound" -> Map(lane -> latest reading)
+const latest = new Map();
+
+/**
+ * Feed stored readings into the live view; older readings than what a lane already has are ignored
+ */
+export function applyReadings(readings) {
+  readings.forEach((r) => {
+    const key = `${r.road}:${r.direction}`;
+    if (!latest.has(key)) latest.set(key, new Map());
+    const lanes = latest.get(key);
+    const current = lanes.get(r.lane);
+    if (!current || new Date(r.observedAt) > new Date(current.observedAt)) lanes.set(r.lane, r);
+  });
+}
+
+/**
+ * Aggregated fresh measurement for one road direction, or null when no lane reported recently
+ * @returns {{flow: number, speed: number|null, occupancy: number|null, lanes: number, observedAt: Date}|null}
+ */
+export function getMeasurement(road, direction, now = Date.now()) {
+  const lanes = latest.get(`${road}:${direction}`);
+  if (!lanes) return null;
+
+  const fresh = [...lanes.values()].filter((r) => now - new Date(r.observedAt).getTime() <= staleAfterMs());
+  if (!fresh.length) return null;
+
+  const flow = fresh.reduce((sum, r) => sum + (r.count * 3600) / (r.intervalSec || 60), 0);
+  const withSpeed = fresh.filter((r) => r.speed != null && r.count > 0);
+  const counted = withSpeed.reduce((sum, r) => sum + r.count, 0);
+  const withOcc = fresh.filter((r) => r.occupancy != null);
+
+  return {
+    flow: Math.round(flow),
+    speed: counted ? Math.round((withSpeed.reduce((sum, r) => sum + r.speed * r.count, 0) / counted) * 10) / 10 : null,
+    occupancy: withOcc.length ? Math.round((withOcc.reduce((sum, r) => sum + r.occupancy, 0) / withOcc.length) * 10) / 10 : null,
+    lanes: fresh.length,
+    observedAt: new Date(Math.max(...fresh.map((r) => new Date(r.observedAt).getTime()))),
+  };
+}
+
+/**
+ * Rebuild the live view from recent stored readings (on startup)
+ */
+export async function loadRecentMeasurements() {
+  const since = new Date(Date.now() - staleAfterMs());
+  const readings = await SensorReading.find({ observedAt: { $gte: since } }).lean();
+  applyReadings(readings);
+  return readings.length;
+}
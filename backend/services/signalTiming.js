@@ -0,0 +1,168 @@
+// File: backend/services/signalTiming.js
+// Signal timing for intersections using Webster's method:
+//   optimal cycle  C0 = (1.5 L + 5) / (1 - Y)
+//   green split    g_i = (C0 - L) * y_i / Y
+// where y_i is the critical flow ratio (flow / saturation flow) of phase i,
+// Y their sum and L the total lost time per cycle.
+
+import mongoose from "mongoose";
+import SignalPlan from "../models/SignalPlan.js";
+import SignalPlanChange from "../models/SignalPlanChange.js";
+import Intersection from "../models/Intersection.js";
+import { getNetwork } from "./roadNetwork.js";
+import { getTrafficState } from "./trafficState.js";
+
+const SATURATION_FLOW = 1900; // vehicles per hour of green per lane
+const DEFAULTS = { yellow: 3, allRed: 1, minGreen: 7, minCycle: 30, maxCycle: 150, maxFlowRatio: 0.95 };
+// Adaptive re-optimisation only replaces a plan when it moves by at least this much
+const MIN_CYCLE_CHANGE = 5;
+const MIN_GREEN_CHANGE = 3;
+
+const round = (v, digits = 0) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+// ------------------- PURE TIMING -------------------
+
+/**
+ * Approaches feeding an intersection. Segments run from -> to in the inbound
+ * direction, so a segment ending here feeds it inbound and one starting here feeds it outbound.
+ */
+export const approachesFor = (intersectionId, roads) => {
+  const id = String(intersectionId);
+  const approaches = [];
+  roads.forEach((road) =>
+    (road.segments || []).forEach((seg) => {
+      if (String(seg.to) === id) approaches.push({ road: road.code, direction: "inbound", lanes: seg.lanesInbound ?? road.lanesInbound });
+      if (String(seg.from) === id) approaches.push({ road: road.code, direction: "outbound", lanes: seg.lanesOutbound ?? road.lanesOutbound });
+    })
+  );
+  return approaches.filter((a) => a.lanes > 0);
+};
+
+// One phase per approach — the safe default until an operator groups compatible movements
+export const defaultPhases = (approaches) =>
+  approaches.map((a) => ({ name: `${a.road} ${a.direction}`, approaches: [{ road: a.road, direction: a.direction }] }));
+
+/**
+ * Webster timing for a set of phases
+ * @param {Object[]} phases - [{ name, approaches: [{ road, direction }] }]
+ * @param {function} flowOf - approach -> observed flow (vehicles/hour)
+ * @param {function} lanesOf - approach -> lane count
+ * @param {Object} [options] - yellow, allRed, minGreen, minCycle, maxCycle
+ */
+export function websterTiming(phases, flowOf, lanesOf, options = {}) {
+  const o = { ...DEFAULTS, ...options };
+  if (!phases.length) throw new Error("Cannot time an intersection without phases");
+
+  const ratios = phases.map((p) =>
+    Math.max(0, ...p.approaches.map((a) => (lanesOf(a) > 0 ? flowOf(a) / (lanesOf(a) * SATURATION_FLOW) : 0)))
+  );
+  const Y = ratios.reduce((a, b) => a + b, 0);
+  const L = phases.length * (o.yellow + o.allRed);
+
+  // Oversaturated (Y close to 1): the formula blows up, run the longest allowed cycle
+  const optimal = Y >= o.maxFlowRatio ? o.maxCycle : (1.5 * L + 5) / (1 - Y);
+  const cycle = Math.min(o.maxCycle, Math.max(o.minCycle, Math.round(optimal)));
+  const effectiveGreen = cycle - L;
+
+  const timed = phases.map((p, i) => ({
+    name: p.name,
+    approaches: p.approaches.map(({ road, direction }) => ({ road, direction })),
+    green: Math.max(o.minGreen, Math.round(Y > 0 ? (effectiveGreen * ratios[i]) / Y : effectiveGreen / phases.length)),
+    yellow: o.yellow,
+    allRed: o.allRed,
+    flowRatio: round(ratios[i], 3),
+  }));
+
+  return {
+    cycleLength: timed.reduce((sum, p) => sum + p.green + p.yellow + p.allRed, 0),
+    criticalFlowRatio: round(Y, 3),
+    phases: timed,
+  };
+}
+
+// ------------------- PLANS -------------------
+
+/**
+ * Find an intersection by Mongo id or code
+ */
+export const findIntersection = (idOrCode) =>
+  Intersection.findOne(mongoose.isValidObjectId(idOrCode) ? { _id: idOrCode } : { code: idOrCode });
+
+/**
+ * Webster plan for an intersection from the current observed flows, or null when
+ * no road with lanes enters it (nothing to time).
+ * Keeps the phase grouping of the existing plan when there is one.
+ */
+export async function recommendPlan(intersection, existing = null) {
+  const { roads } = await getNetwork();
+  const approaches = approachesFor(intersection._id, roads);
+  const lanes = new Map(approaches.map((a) => [`${a.road}:${a.direction}`, a.lanes]));
+  const state = new Map(getTrafficState().getState().map((r) => [r.id, r]));
+
+  const phases = existing?.phases?.length ? existing.phases : defaultPhases(approaches);
+  if (!phases.length) return null;
+  return websterTiming(
+    phases,
+    (a) => state.get(a.road)?.[a.direction] || 0,
+    (a) => lanes.get(`${a.road}:${a.direction}`) || 0
+  );
+}
+
+const summary = (plan) =>
+  plan && {
+    cycleLength: plan.cycleLength,
+    phases: plan.phases.map(({ name, approaches, green, yellow, allRed }) => ({ name, approaches, green, yellow, allRed })),
+  };
+
+/**
+ * Store a plan as the intersection's active plan and record the change
+ */
+export async function applyPlan(intersection, { phases, criticalFlowRatio }, { source, mode, changedBy = null, reason }) {
+  let plan = await SignalPlan.findOne({ intersection: intersection._id });
+  const previous = summary(plan);
+
+  if (!plan) plan = new SignalPlan({ intersection: intersection._id });
+  plan.set({ phases, source, mode: mode || plan.mode, criticalFlowRatio: criticalFlowRatio ?? null, updatedBy: changedBy });
+  await plan.save();
+
+  await SignalPlanChange.create({
+    intersection: intersection._id,
+    source,
+    mode: plan.mode,
+    cycleLength: plan.cycleLength,
+    phases: summary(plan).phases,
+    previous,
+    changedBy,
+    reason,
+  });
+  return plan;
+}
+
+const differsEnough = (plan, next) =>
+  Math.abs(plan.cycleLength - next.cycleLength) >= MIN_CYCLE_CHANGE ||
+  plan.phases.length !== next.phases.length ||
+  plan.phases.some((p, i) => Math.abs(p.green - next.phases[i].green) >= MIN_GREEN_CHANGE);
+
+/**
+ * Re-time every intersection that has no plan yet or runs an adaptive plan
+ */
+export async function optimiseAdaptivePlans() {
+  const { roads, intersections } = await getNetwork();
+  for (const intersection of intersections) {
+    const plan = await SignalPlan.findOne({ intersection: intersection._id });
+    if (plan && plan.mode !== "adaptive") continue;
+    if (!plan && approachesFor(intersection._id, roads).length === 0) continue; // nothing to signal
+
+    const next = await recommendPlan(intersection, plan);
+    if (!next || (plan && !differsEnough(plan, next))) continue;
+    await applyPlan(intersection, next, { source: "webster", reason: plan ? "Adaptive re-timing" : "Initial timing" });
+  }
+}
+
+/**
+ * Periodically re-optimise adaptive plans (SIGNAL_UPDATE_MS, default 5 minutes)
+ */
+export function startSignalController(intervalMs = Number(process.env.SIGNAL_UPDATE_MS) || 5 * 60 * 1000) {
+  const run = () => optimiseAdaptivePlans().catch((err) => console.error("Signal re-timing failed:", err.message));
+  return setInterval(run, intervalMs);
+}
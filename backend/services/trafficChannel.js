@@ -0,0 +1,126 @@
+// File: backend/services/trafficChannel.js
+// Live traffic over Socket.io.
+//
+// Client -> server:
+//   "traffic-subscribe"   { roads?: ["R1", ...], bbox?: [minLng, minLat, maxLng, maxLat] }
+//   "traffic-unsubscribe"
+// Server -> client ("traffic-update"):
+//   { type: "snapshot", at, roads: [...] }           on connect and on every (re)subscribe
+//   { type: "delta", at, roads: [...], removed: [] } after each tick; roads only carry
+//                                                    the id plus the fields that changed
+
+import { getNetwork } from "./roadNetwork.js";
+
+// Bounding box of a road's polyline, [minLng, minLat, maxLng, maxLat]
+const roadBounds = (road) => {
+  const coords = road.geometry?.coordinates || [];
+  if (!coords.length) return null;
+  return coords.reduce(
+    ([a, b, c, d], [lng, lat]) => [Math.min(a, lng), Math.min(b, lat), Math.max(c, lng), Math.max(d, lat)],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+};
+
+const overlaps = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+// Validate and normalise a subscription payload; throws with a client-facing message
+const parseFilter = (payload = {}) => {
+  const filter = {};
+  if (payload.roads !== undefined) {
+    if (!Array.isArray(payload.roads)) throw new Error("roads must be an array of road ids");
+    filter.roads = new Set(payload.roads.map(String));
+  }
+  if (payload.bbox !== undefined) {
+    const bbox = Array.isArray(payload.bbox) ? payload.bbox.map(Number) : String(payload.bbox).split(",").map(Number);
+    if (bbox.length !== 4 || bbox.some((n) => !Number.isFinite(n))) {
+      throw new Error("bbox must be [minLng, minLat, maxLng, maxLat]");
+    }
+    filter.bbox = bbox;
+  }
+  return filter;
+};
+
+// Fields of two road states that differ, always including the id
+const diffRoad = (prev, next) => {
+  const delta = { id: next.id };
+  Object.keys(next).forEach((k) => {
+    if (k !== "id" && prev?.[k] !== next[k]) delta[k] = next[k];
+  });
+  return Object.keys(delta).length > 1 ? delta : null;
+};
+
+/**
+ * Attach the traffic-update channel to a Socket.io server
+ * @param {import("socket.io").Server} io
+ * @param {import("./trafficSimulator.js").TrafficSimulator} source - anything emitting "tick" { at, roads } with getState()
+ */
+export function attachTrafficChannel(io, source) {
+  let published = new Map(); // road id -> last state sent to clients
+  let bounds = new Map(); // road code -> bbox, refreshed every tick from the network cache
+
+  const refreshBounds = async () => {
+    const { roads } = await getNetwork();
+    bounds = new Map(roads.map((r) => [r.code, roadBounds(r)]));
+  };
+
+  const matches = (filter, roadId) => {
+    if (!filter) return false; // unsubscribed
+    if (filter.roads && !filter.roads.has(roadId)) return false;
+    if (filter.bbox) {
+      const b = bounds.get(roadId);
+      if (!b || !overlaps(b, filter.bbox)) return false;
+    }
+    return true;
+  };
+
+  const sendSnapshot = (socket) => {
+    const filter = socket.data.trafficFilter;
+    socket.emit("traffic-update", {
+      type: "snapshot",
+      at: new Date(),
+      roads: source.getState().filter((r) => matches(filter, r.id)),
+    });
+  };
+
+  source.on("tick", async ({ at, roads }) => {
+    try {
+      await refreshBounds();
+    } catch (err) {
+      console.error("Failed to refresh road bounds:", err.message);
+    }
+
+    const deltas = roads.map((r) => diffRoad(published.get(r.id), r)).filter(Boolean);
+    const current = new Set(roads.map((r) => r.id));
+    const removed = [...published.keys()].filter((id) => !current.has(id));
+    published = new Map(roads.map((r) => [r.id, r]));
+    if (!deltas.length && !removed.length) return;
+
+    for (const socket of io.of("/").sockets.values()) {
+      const filter = socket.data.trafficFilter;
+      const mine = deltas.filter((d) => matches(filter, d.id));
+      const gone = removed.filter((id) => !filter?.roads || filter.roads.has(id));
+      if (mine.length || gone.length) socket.emit("traffic-update", { type: "delta", at, roads: mine, removed: gone });
+    }
+  });
+
+  io.on("connection", (socket) => {
+    // Everything until the client narrows it down
+    socket.data.trafficFilter = {};
+    sendSnapshot(socket);
+
+    socket.on("traffic-subscribe", async (payload, ack) => {
+      try {
+        socket.data.trafficFilter = parseFilter(payload);
+        if (socket.data.trafficFilter.bbox && bounds.size === 0) await refreshBounds();
+        sendSnapshot(socket);
+        if (typeof ack === "function") ack({ ok: true });
+      } catch (err) {
+        if (typeof ack === "function") ack({ ok: false, message: err.message });
+      }
+    });
+
+    socket.on("traffic-unsubscribe", () => {
+      socket.data.trafficFilter = null;
+    });
+  });
+}
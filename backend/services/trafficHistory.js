@@ -0,0 +1,84 @@
+// File: backend/services/trafficHistory.js
+// Storage and aggregation of sampled road states (the traffic time series).
+
+import TrafficReading from "../models/TrafficReading.js";
+
+const READING_FIELDS = [
+  "inbound",
+  "outbound",
+  "lanesInbound",
+  "lanesOutbound",
+  "speedInbound",
+  "speedOutbound",
+  "occupancyInbound",
+  "occupancyOutbound",
+  "queueInbound",
+  "queueOutbound",
+];
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+/**
+ * Store one snapshot of road states (as returned by /api/traffic/state)
+ * @param {{at: Date, roads: Object[], replay?: string|null}} snapshot - replay tags readings of a simulation replay
+ */
+export async function recordSnapshot({ at, roads, replay = null }) {
+  if (!roads.length) return;
+  const docs = roads.map((road) => {
+    const doc = { road: road.id, sampledAt: at, ...(replay && { replay }) };
+    READING_FIELDS.forEach((f) => road[f] !== undefined && (doc[f] = road[f]));
+    return doc;
+  });
+  await TrafficReading.insertMany(docs);
+}
+
+/**
+ * Average readings per road per fixed-size time bucket
+ * @param {Object} query
+ * @param {string} [query.road] - restrict to one road
+ * @param {string} [query.replay] - read this simulation replay instead of real history
+ * @param {Date} query.from
+ * @param {Date} query.to
+ * @param {number} query.bucketMs - bucket size in milliseconds
+ */
+export async function getHistory({ road, from, to, bucketMs, replay = null }) {
+  const match = { sampledAt: { $gte: from, $lt: to }, replay };
+  if (road) match.road = road;
+
+  const sampledMs = { $toLong: "$sampledAt" };
+  const rows = await TrafficReading.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          road: "$road",
+          bucket: { $subtract: [sampledMs, { $mod: [sampledMs, bucketMs] }] },
+        },
+        inbound: { $avg: "$inbound" },
+        outbound: { $avg: "$outbound" },
+        inboundMax: { $max: "$inbound" },
+        outboundMax: { $max: "$outbound" },
+        speedInbound: { $avg: "$speedInbound" },
+        speedOutbound: { $avg: "$speedOutbound" },
+        lanesInbound: { $last: "$lanesInbound" },
+        lanesOutbound: { $last: "$lanesOutbound" },
+        samples: { $sum: 1 },
+      },
+    },
+    { $sort: { "_id.bucket": 1, "_id.road": 1 } },
+  ]);
+
+  return rows.map((r) => ({
+    road: r._id.road,
+    bucketStart: new Date(r._id.bucket),
+    inbound: round1(r.inbound),
+    outbound: round1(r.outbound),
+    inboundMax: r.inboundMax,
+    outboundMax: r.outboundMax,
+    speedInbound: round1(r.speedInbound),
+    speedOutbound: round1(r.speedOutbound),
+    lanesInbound: r.lanesInbound,
+    lanesOutbound: r.lanesOutbound,
+    samples: r.samples,
+  }));
+}
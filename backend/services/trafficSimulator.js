@@ -0,0 +1,314 @@
+// File: backend/services/trafficSimulator.js
+// Seedable traffic simulation. Each road direction is modelled as a set of
+// lanes with random (Poisson) vehicle arrivals driven by a time-of-day demand
+// curve, a FIFO queue, and discharge limited by lane capacity. The simulated
+// clock advances a fixed amount per tick, so the same seed, start time and
+// tick settings always produce the same sequence of states.
+// A run whose clock does not follow the wall clock (another start time, or a
+// speed other than 1) is a replay: its ticks carry a replay id so the readings
+// stored from them stay apart from real history.
+
+import { EventEmitter } from "events";
+import { getNetwork, directionCapacity } from "./roadNetwork.js";
+import { withLevelOfService } from "./levelOfService.js";
+
+// ------------------- RANDOMNESS -------------------
+// mulberry32: tiny, fast, good enough for simulation and fully reproducible
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a, so every road gets its own stream derived from the global seed
+const hashSeed = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+};
+
+const poisson = (rng, mean) => {
+  if (mean <= 0) return 0;
+  if (mean > 30) {
+    // normal approximation keeps large means cheap
+    const u = 1 - rng();
+    const v = rng();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return Math.max(0, Math.round(mean + z * Math.sqrt(mean)));
+  }
+  const limit = Math.exp(-mean);
+  let k = 0;
+  let p = rng();
+  while (p > limit) {
+    k += 1;
+    p *= rng();
+  }
+  return k;
+};
+
+// ------------------- DEMAND CURVES -------------------
+// Share of hourly capacity demanded, per hour of day (two-way average)
+const WEEKDAY_DEMAND = [0.08, 0.05, 0.04, 0.04, 0.08, 0.22, 0.5, 0.82, 0.92, 0.7, 0.55, 0.55, 0.6, 0.58, 0.55, 0.6, 0.75, 0.9, 0.86, 0.62, 0.45, 0.34, 0.24, 0.14];
+const WEEKEND_DEMAND = [0.12, 0.08, 0.05, 0.04, 0.04, 0.07, 0.14, 0.25, 0.38, 0.5, 0.58, 0.62, 0.64, 0.62, 0.6, 0.58, 0.58, 0.6, 0.56, 0.48, 0.4, 0.32, 0.24, 0.17];
+// Share of demand travelling inbound: towards the centre in the morning, away in the evening
+const INBOUND_SHARE = [0.5, 0.5, 0.5, 0.5, 0.55, 0.62, 0.68, 0.7, 0.68, 0.6, 0.52, 0.5, 0.5, 0.5, 0.48, 0.42, 0.35, 0.32, 0.34, 0.42, 0.48, 0.5, 0.5, 0.5];
+
+/**
+ * `date` shifted to the traffic clock, to be read with the getUTC* methods. The curves
+ * follow TRAFFIC_UTC_OFFSET_MIN (minutes east of UTC, default 0), whatever the server's
+ * time zone.
+ */
+export const trafficClock = (date) => new Date(new Date(date).getTime() + (Number(process.env.TRAFFIC_UTC_OFFSET_MIN) || 0) * 60 * 1000);
+
+// Linear interpolation between hourly values so demand changes smoothly
+const atHour = (curve, date) => {
+  const t = trafficClock(date);
+  const h = t.getUTCHours() + t.getUTCMinutes() / 60 + t.getUTCSeconds() / 3600;
+  const i = Math.floor(h) % 24;
+  const frac = h - Math.floor(h);
+  return curve[i] + (curve[(i + 1) % 24] - curve[i]) * frac;
+};
+
+export const demandShare = (date, direction) => {
+  const day = trafficClock(date).getUTCDay();
+  const curve = day === 0 || day === 6 ? WEEKEND_DEMAND : WEEKDAY_DEMAND;
+  const inbound = atHour(INBOUND_SHARE, date);
+  // x2 so that the two directions average back to the two-way curve
+  return atHour(curve, date) * 2 * (direction === "inbound" ? inbound : 1 - inbound);
+};
+
+// ------------------- SIMULATOR -------------------
+const DIRECTIONS = ["inbound", "outbound"];
+const FLOW_SMOOTHING_SEC = 300; // reported flows are a ~5 minute moving average
+const LIVE_TOLERANCE_MS = 60 * 1000; // a start this close to now still counts as the live clock
+const VEHICLE_SPACING_M = 7; // jam spacing, used for queue storage and occupancy
+const round1 = (v) => Math.round(v * 10) / 10;
+
+export class TrafficSimulator extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.seed - random seed; same seed + start + tick settings = same run
+   * @param {number} options.tickMs - wall-clock milliseconds between ticks
+   * @param {number} options.speed - simulated seconds per wall-clock second
+   * @param {Date|number|string} options.start - simulated start time
+   */
+  constructor({ seed = 42, tickMs = 5000, speed = 1, start = Date.now(), loadNetwork = getNetwork } = {}) {
+    super();
+    this.loadNetwork = loadNetwork;
+    this.tickMs = tickMs;
+    this.speed = speed;
+    this.reset({ seed, start });
+  }
+
+  /**
+   * Restart the run from a (possibly new) seed and start time
+   */
+  reset({ seed = this.seed, start = Date.now() } = {}) {
+    this.seed = Number(seed) >>> 0;
+    this.startedAt = new Date(start);
+    this.clock = new Date(this.startedAt);
+    this.ticks = 0;
+    const live = this.speed === 1 && Math.abs(this.startedAt.getTime() - Date.now()) <= LIVE_TOLERANCE_MS;
+    this.replay = live ? null : `${this.seed}@${this.startedAt.toISOString()}`;
+    this.roads = new Map(); // road code -> simulated state
+    this.blockages = new Map(); // "R1:inbound" -> { factor, until }
+    this.snapshot = [];
+  }
+
+  /**
+   * Simulate a lane blockage: discharge capacity of one road direction drops to
+   * `factor` (0.3 = 70% lost) for `durationSec` of simulated time
+   */
+  blockCapacity(roadCode, direction, factor, durationSec) {
+    this.blockages.set(`${roadCode}:${direction}`, {
+      factor: Math.min(1, Math.max(0.05, factor)),
+      until: this.clock.getTime() + durationSec * 1000,
+    });
+  }
+
+  // Share of capacity currently available on a road direction
+  capacityFactor(roadCode, direction) {
+    const key = `${roadCode}:${direction}`;
+    const blockage = this.blockages.get(key);
+    if (!blockage) return 1;
+    if (this.clock.getTime() >= blockage.until) {
+      this.blockages.delete(key);
+      return 1;
+    }
+    return blockage.factor;
+  }
+
+  get tickSeconds() {
+    return (this.tickMs / 1000) * this.speed;
+  }
+
+  // Create or resize the per-lane state for a road, keeping queues for lanes that still exist
+  syncRoad(road) {
+    let state = this.roads.get(road.code);
+    if (!state) {
+      state = { rng: createRng(hashSeed(`${this.seed}:${road.code}`)), directions: {} };
+      // every road gets a fixed demand multiplier so roads differ from each other
+      state.demandScale = 0.65 + state.rng() * 0.45;
+      this.roads.set(road.code, state);
+    }
+    state.road = road;
+    DIRECTIONS.forEach((dir) => {
+      const lanes = dir === "inbound" ? road.lanesInbound : road.lanesOutbound;
+      const prev = state.directions[dir];
+      const queues = Array.from({ length: lanes }, (_, i) => prev?.queues[i] || 0);
+      state.directions[dir] = {
+        queues,
+        flow: prev ? prev.flow : demandShare(this.clock, dir) * state.demandScale * directionCapacity(road, dir),
+        demand: prev ? prev.demand : 0,
+      };
+    });
+    return state;
+  }
+
+  // Advance one direction of one road by dt seconds
+  stepDirection(state, dir, dt) {
+    const { road, rng } = state;
+    const d = state.directions[dir];
+    const lanes = d.queues.length;
+    const capacity = directionCapacity(road, dir); // veh/h
+    const demandRate = demandShare(this.clock, dir) * state.demandScale * capacity; // veh/h
+    const laneService = (road.capacityPerLane * this.capacityFactor(road.code, dir) * dt) / 3600; // veh per lane this tick
+
+    let served = 0;
+    for (let i = 0; i < lanes; i++) {
+      const arrivals = poisson(rng, (demandRate / lanes) * (dt / 3600));
+      const waiting = d.queues[i] + arrivals;
+      const out = Math.min(waiting, laneService);
+      d.queues[i] = waiting - out;
+      served += out;
+    }
+
+    const alpha = Math.min(1, dt / FLOW_SMOOTHING_SEC);
+    d.flow += alpha * ((served * 3600) / dt - d.flow);
+    d.demand = demandRate;
+  }
+
+  // Road/direction state in the shape served by /api/traffic/state
+  describe(state) {
+    const { road } = state;
+    const lengthKm = road.segments?.reduce((sum, s) => sum + (s.lengthKm || 0), 0) || 1;
+    const out = { id: road.code, name: road.name, lanesInbound: road.lanesInbound, lanesOutbound: road.lanesOutbound };
+
+    DIRECTIONS.forEach((dir) => {
+      const d = state.directions[dir];
+      const lanes = d.queues.length;
+      const capacity = directionCapacity(road, dir);
+      const queue = d.queues.reduce((a, b) => a + b, 0);
+
+      // BPR-style slowdown from demand, then a further drop as the queue fills the road
+      const x = capacity > 0 ? d.demand / (capacity * this.capacityFactor(road.code, dir)) : 0;
+      const storage = lanes > 0 ? (lanes * lengthKm * 1000) / VEHICLE_SPACING_M : 1;
+      const queueFactor = Math.max(0.1, 1 - queue / storage);
+      const speed = lanes > 0 ? (road.speedLimit / (1 + 0.15 * x ** 4)) * queueFactor : 0;
+      // occupancy ≈ density per lane × effective vehicle length
+      const density = speed > 0 && lanes > 0 ? d.flow / lanes / speed : 0;
+      const occupancy = Math.min(100, (density * VEHICLE_SPACING_M) / 10);
+
+      out[dir] = Math.round(d.flow);
+      out[`capacity${dir === "inbound" ? "Inbound" : "Outbound"}`] = capacity;
+      out[`queue${dir === "inbound" ? "Inbound" : "Outbound"}`] = Math.round(queue);
+      out[`demand${dir === "inbound" ? "Inbound" : "Outbound"}`] = Math.round(d.demand);
+      out[`availableCapacity${dir === "inbound" ? "Inbound" : "Outbound"}`] = Math.round(capacity * this.capacityFactor(road.code, dir));
+      out[`speed${dir === "inbound" ? "Inbound" : "Outbound"}`] = round1(speed);
+      out[`occupancy${dir === "inbound" ? "Inbound" : "Outbound"}`] = round1(occupancy);
+    });
+    return withLevelOfService(out, road.capacityPerLane);
+  }
+
+  /**
+   * Advance the simulation by one tick and emit "tick" with the new snapshot
+   */
+  async step() {
+    if (this.stepping) return this.snapshot; // previous tick still loading the network
+    this.stepping = true;
+    try {
+      return await this.advance();
+    } finally {
+      this.stepping = false;
+    }
+  }
+
+  async advance() {
+    const { roads } = await this.loadNetwork();
+    const dt = this.tickSeconds;
+    this.clock = new Date(this.clock.getTime() + dt * 1000);
+    this.ticks += 1;
+
+    const active = new Set(roads.map((r) => r.code));
+    [...this.roads.keys()].forEach((code) => !active.has(code) && this.roads.delete(code));
+
+    this.snapshot = roads.map((road) => {
+      const state = this.syncRoad(road);
+      DIRECTIONS.forEach((dir) => this.stepDirection(state, dir, dt));
+      return this.describe(state);
+    });
+
+    this.emit("tick", { at: new Date(this.clock), roads: this.snapshot, replay: this.replay });
+    return this.snapshot;
+  }
+
+  /**
+   * Current state of every road
+   */
+  getState() {
+    return this.snapshot;
+  }
+
+  status() {
+    return {
+      seed: this.seed,
+      startedAt: this.startedAt,
+      clock: this.clock,
+      ticks: this.ticks,
+      tickMs: this.tickMs,
+      speed: this.speed,
+      replay: this.replay,
+      running: !!this.timer,
+    };
+  }
+
+  start() {
+    if (this.timer) return this;
+    const run = () =>
+      this.step().catch((err) => console.error("Traffic simulation tick failed:", err.message));
+    run();
+    this.timer = setInterval(run, this.tickMs);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this;
+  }
+}
+
+// ------------------- SHARED INSTANCE -------------------
+let instance = null;
+
+/**
+ * The simulator behind the traffic API, configured from SIM_* environment variables
+ * on first use (after dotenv has run).
+ */
+export function getSimulator() {
+  if (!instance) {
+    const seed = process.env.SIM_SEED?.trim() ? Number(process.env.SIM_SEED) : NaN; // 0 is a valid seed
+    instance = new TrafficSimulator({
+      seed: Number.isFinite(seed) ? seed : 42,
+      tickMs: Number(process.env.SIM_TICK_MS) || 5000,
+      speed: Number(process.env.SIM_SPEED) || 1,
+      start: process.env.SIM_START || Date.now(),
+    });
+  }
+  return instance;
+}
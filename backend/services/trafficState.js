@@ -0,0 +1,63 @@
+// File: backend/services/trafficState.js
+// The traffic state served to clients: the simulation, overridden per road
+// direction by fresh detector measurements where devices report them. When the
+// detectors cover only some lanes, their counts stand for those lanes and the
+// simulation's per-lane share fills in the rest.
+
+import { EventEmitter } from "events";
+import { getSimulator } from "./trafficSimulator.js";
+import { getMeasurement } from "./sensorState.js";
+import { withLevelOfService } from "./levelOfService.js";
+
+const DIRECTIONS = [
+  ["inbound", "Inbound"],
+  ["outbound", "Outbound"],
+];
+
+/**
+ * Replace simulated values with measured ones where available and mark the source of each direction
+ * ("sensor", "partial" when only some lanes are measured, or "simulation")
+ */
+export const mergeMeasurements = (roads, now = Date.now()) =>
+  roads.map((road) => {
+    const merged = { ...road };
+    DIRECTIONS.forEach(([dir, Dir]) => {
+      const m = getMeasurement(road.id, dir, now);
+      const lanes = road[`lanes${Dir}`] || 0;
+      const unmeasured = m ? Math.max(0, lanes - m.lanes) : lanes;
+      merged[`source${Dir}`] = !m ? "simulation" : unmeasured ? "partial" : "sensor";
+      if (!m) return;
+      merged[dir] = Math.round(m.flow + ((road[dir] || 0) * unmeasured) / (lanes || 1));
+      delete merged[`demand${Dir}`]; // simulated demand does not describe the measured flow
+      if (m.speed != null) merged[`speed${Dir}`] = m.speed;
+      if (m.occupancy != null) merged[`occupancy${Dir}`] = m.occupancy;
+    });
+    const capacityPerLane = road.lanesInbound
+      ? road.capacityInbound / road.lanesInbound
+      : road.capacityOutbound / (road.lanesOutbound || 1);
+    return withLevelOfService(merged, capacityPerLane || undefined);
+  });
+
+class TrafficStateFeed extends EventEmitter {
+  constructor(simulator) {
+    super();
+    this.simulator = simulator;
+    simulator.on("tick", ({ at, roads, replay }) => {
+      this.emit("tick", { at, roads: mergeMeasurements(roads), replay });
+    });
+  }
+
+  getState() {
+    return mergeMeasurements(this.simulator.getState());
+  }
+}
+
+let feed = null;
+
+/**
+ * Shared feed with the same interface as the simulator (getState() and "tick" events)
+ */
+export function getTrafficState() {
+  if (!feed) feed = new TrafficStateFeed(getSimulator());
+  return feed;
+}
@@ -6,11 +6,38 @@ import { Server } from "socket.io";
 import cors from "cors";
 import bodyParser from "body-parser";
 import dotenv from "dotenv";
+import mongoose from "mongoose";
 
 // Routes
 import chatRoutes from "./routes/chat.js";
+import authRoutes from "../routes/auth.js";
 import feedbackRoutes from "./routes/feedback.js";
 import adminFeedbackRoutes from "./routes/adminFeedback.js";
+import trafficRoutes from "../routes/traffic.js";
+import roadRoutes from "../routes/roads.js";
+import signalRoutes from "../routes/signals.js";
+import ingestRoutes from "../routes/ingest.js";
+import deviceRoutes from "../routes/devices.js";
+import routeRoutes from "../routes/routes.js";
+import reportRoutes from "../routes/reports.js";
+import dispatchRoutes from "../routes/dispatch.js";
+import notificationRoutes from "../routes/notifications.js";
+import userRoutes from "../routes/users.js";
+import lockoutRoutes from "../routes/lockouts.js";
+import roleRoutes from "../routes/roles.js";
+import Report from "../models/Report.js";
+import TrafficReading from "../models/TrafficReading.js";
+import { clusterNewReport } from "../services/reportClustering.js";
+import { getSimulator } from "../services/trafficSimulator.js";
+import { recordSnapshot } from "../services/trafficHistory.js";
+import { getTrafficState } from "../services/trafficState.js";
+import { loadRecentMeasurements } from "../services/sensorState.js";
+import { IncidentDetector } from "../services/incidentDetector.js";
+import { planRoute, resolveIntersection } from "../services/routePlanner.js";
+import { attachTrafficChannel } from "../services/trafficChannel.js";
+import { startSignalController } from "../services/signalTiming.js";
+import { startDispatchMonitor } from "../services/dispatch.js";
+import { startExpiryJob } from "../services/reportExpiry.js";
 
 // Load environment variables
 dotenv.config();
@@ -18,54 +45,96 @@ dotenv.config();
 // ------------------- APP & MIDDLEWARE -------------------
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1) makes req.ip the client address for login throttling
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
 app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// ------------------- DATABASE -------------------
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    return TrafficReading.applyRetention().catch((err) => console.error("Failed to set traffic history retention:", err.message));
+  })
+  .catch((err) => {
+    // Without the database every route fails, so stop and let the process manager restart us
+    console.error("❌ MongoDB connection error:", err.message);
+    process.exit(1);
+  });
+
 // ------------------- ROUTES -------------------
+app.use("/api/auth", authRoutes);
 app.use("/api/chat", chatRoutes);
 app.use("/api/feedback", feedbackRoutes);
 app.use("/api/admin/feedback", adminFeedbackRoutes);
+app.use("/api/admin/lockouts", lockoutRoutes);
+app.use("/api/traffic", trafficRoutes);
+app.use("/api/roads", roadRoutes);
+app.use("/api/signals", signalRoutes);
+app.use("/api/ingest", ingestRoutes);
+app.use("/api/devices", deviceRoutes);
+app.use("/api/routes", routeRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/dispatch", dispatchRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/roles", roleRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => res.json({ status: "ok" }));
 
-// ------------------- SIMULATED TRAFFIC DATA -------------------
-let reports = [];
-let posts = [];
-let idCounter = 1;
-
-app.get("/api/traffic/state", (req, res) => {
-  const roads = [
-    { id: "R1", inbound: Math.round(20 + Math.random() * 80), outbound: Math.round(10 + Math.random() * 60), lanesInbound: 2, lanesOutbound: 2 },
-    { id: "R2", inbound: Math.round(10 + Math.random() * 50), outbound: Math.round(20 + Math.random() * 80), lanesInbound: 2, lanesOutbound: 2 },
-    { id: "R3", inbound: Math.round(5 + Math.random() * 40), outbound: Math.round(5 + Math.random() * 40), lanesInbound: 2, lanesOutbound: 2 },
-  ];
-  res.json(roads);
+// ------------------- TRAFFIC SIMULATION & SENSORS -------------------
+// The simulation ticks on its own clock; fresh detector readings override it per road
+// direction, and every tick of the merged state is stored as traffic history
+const trafficState = getTrafficState();
+trafficState.on("tick", (snapshot) =>
+  recordSnapshot(snapshot).catch((err) => console.error("Failed to store traffic readings:", err.message))
+);
+loadRecentMeasurements().catch((err) => console.error("Failed to load sensor readings:", err.message));
+getSimulator().start();
+
+// Adaptive signal plans are re-timed from the observed flows
+startSignalController();
+
+// ------------------- AUTOMATIC INCIDENT DETECTION -------------------
+// Anomalies in the traffic stream become unconfirmed, system-generated reports
+const detector = new IncidentDetector({ zThreshold: Number(process.env.INCIDENT_Z_THRESHOLD) || 3 });
+detector.loadBaseline().catch((err) => console.error("Failed to load incident baseline:", err.message));
+trafficState.on("tick", (snapshot) => detector.observe(snapshot));
+
+detector.on("incident", (d) => {
+  const what = d.kind === "throughput-drop" ? "Sudden drop in throughput" : "Queue building up";
+  const report = new Report({
+    title: `${what} on ${d.roadName || d.road}`,
+    description: `${what} on ${d.roadName || d.road} (${d.direction}): ${d.flow} veh/h vs ~${d.expectedFlow} expected`,
+    category: d.kind === "throughput-drop" ? "accident" : "congestion",
+    severity: "medium",
+    source: "system",
+    reporterName: "Incident detector",
+    road: d.road,
+    direction: d.direction,
+    detection: d,
+  });
+  clusterNewReport(report)
+    .then(() => report.save())
+    .then(() => console.log("Incident detected:", report.description))
+    .catch((err) => console.error("Failed to save detected incident:", err.message));
 });
 
-// Reports CRUD
-app.get("/api/reports", (req, res) => res.json(reports));
+// ------------------- DISPATCH SLAS -------------------
+// Responders that miss their acknowledgement or arrival time are escalated to the admins
+startDispatchMonitor();
 
-app.post("/api/reports", (req, res) => {
-  const { message } = req.body;
-  const report = { id: idCounter++, message, confirmed: false };
-  reports.push(report);
-  res.json(report);
-});
+// ------------------- REPORT EXPIRY -------------------
+// Open reports lapse after their category's time to live unless someone confirms they are still there
+startExpiryJob();
 
-app.post("/api/reports/:id/confirm", (req, res) => {
-  const id = parseInt(req.params.id);
-  const report = reports.find((x) => x.id === id);
-  if (report) {
-    report.confirmed = true;
-    res.json(report);
-  } else {
-    res.status(404).json({ error: "Report not found" });
-  }
-});
+// ------------------- IN-MEMORY POSTS -------------------
+let posts = [];
 
-// Posts CRUD
 app.get("/api/posts", (req, res) => res.json(posts));
 
 app.post("/api/posts", (req, res) => {
@@ -79,8 +148,30 @@ app.post("/api/posts", (req, res) => {
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
 
+// Live traffic: snapshot on connect, then per-road deltas on the "traffic-update" event
+attachTrafficChannel(io, trafficState);
+
 let chatMessages = []; // in-memory chat history
 
+// Answer "from X to Y" questions with the fastest route for the current traffic
+const routeReply = async (text) => {
+  const match = /from\s+(.+?)\s+to\s+(.+?)[?.!]*$/i.exec(String(text).trim());
+  if (!match) return "Ask me for a route, e.g. \"route from I1 to I3\" (intersection codes or lat,lng).";
+
+  const [start, goal] = await Promise.all([resolveIntersection(match[1]), resolveIntersection(match[2])]);
+  if (!start || !goal) return `I don't know ${!start ? match[1] : match[2]}. Try an intersection code like I1.`;
+  if (String(start._id) === String(goal._id)) return "You're already there!";
+
+  const { routes } = await planRoute({ from: start, to: goal, alternatives: 1 });
+  if (!routes.length) return `No route found from ${start.name} to ${goal.name}.`;
+
+  const [best, alt] = routes;
+  const via = (route) => [...new Set(route.steps.map((s) => s.name))].join(" → ");
+  let reply = `Recommended route: ${via(best)} — ETA ${Math.round(best.durationMin)} min (${best.distanceKm} km).`;
+  if (alt) reply += ` Alternative: ${via(alt)} — ${Math.round(alt.durationMin)} min.`;
+  return reply;
+};
+
 io.on("connection", (socket) => {
   console.log("Socket connected:", socket.id);
 
@@ -91,12 +182,19 @@ io.on("connection", (socket) => {
   chatMessages.forEach((msg) => socket.emit("chat-message", msg));
 
   // Receive messages
-  socket.on("chat-message", (msg) => {
+  socket.on("chat-message", async (msg) => {
     const userMsg = { from: "user", text: msg };
     chatMessages.push(userMsg);
 
-    // Simulate AI/admin response
-    const response = { from: "bot", text: `(Demo) Recommended route: Main St — ETA 12 min.` };
+    // Route questions are answered by the route planner
+    let text;
+    try {
+      text = await routeReply(msg);
+    } catch (err) {
+      console.error("Failed to plan chat route:", err.message);
+      text = "Sorry, route planning is unavailable right now.";
+    }
+    const response = { from: "bot", text };
     chatMessages.push(response);
 
     // Broadcast to the sender
@@ -0,0 +1,60 @@
+// src/components/IncidentLayer.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { CircleMarker, Popup, useMapEvents } from "react-leaflet";
+
+const SEVERITY_COLORS = { low: "#10b981", medium: "#f59e0b", high: "#ef4444", critical: "#7f1d1d" };
+const REFRESH_MS = 30000;
+
+/**
+ * Incident reports inside the visible part of the map.
+ * Must be rendered inside a react-leaflet <MapContainer>; reloads when the map is
+ * panned or zoomed and every 30s.
+ * @param {string} status - comma-separated statuses to show (default: live incidents)
+ * @param {function} onLoad - receives the reports currently shown
+ */
+export default function IncidentLayer({ status = "new,verified,dispatched,on-scene", onLoad = () => {} }) {
+  const [reports, setReports] = useState([]);
+  const request = useRef(0);
+  const map = useMapEvents({ moveend: () => load() });
+
+  const load = () => {
+    const b = map.getBounds();
+    const bbox = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map((n) => n.toFixed(5)).join(",");
+    const id = ++request.current;
+    fetch(`/api/reports?bbox=${bbox}&status=${status}&limit=200`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then((data) => {
+        if (id !== request.current) return; // a newer viewport answered first
+        setReports(data);
+        onLoad(data);
+      })
+      .catch(() => {});
+  };
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [status]);
+
+  return reports.map((r) => (
+    <CircleMarker
+      key={r._id}
+      center={[r.location.coordinates[1], r.location.coordinates[0]]}
+      radius={r.childCount ? 8 + Math.min(r.childCount, 6) : 8}
+      pathOptions={{ color: SEVERITY_COLORS[r.severity] || "#f59e0b", fillOpacity: 0.7 }}
+    >
+      <Popup>
+        <div style={{ maxWidth: 220 }}>
+          <strong>{r.title}</strong>
+          <div style={{ fontSize: 12, color: "#666" }}>{r.category} • {r.severity} • {r.status}</div>
+          {r.description !== r.title && <div style={{ marginTop: 4 }}>{r.description}</div>}
+          <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>
+            {new Date(r.createdAt).toLocaleString()}
+            {r.childCount > 0 ? ` • ${r.childCount + 1} reports` : ""}
+          </div>
+        </div>
+      </Popup>
+    </CircleMarker>
+  ));
+}
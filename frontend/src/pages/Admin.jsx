@@ -2,30 +2,33 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
 import { FaClipboardList, FaUsersCog, FaTools } from "react-icons/fa";
+import { authHeader } from "../services/auth";
 
 export default function Admin() {
   const [reports, setReports] = useState([]);
   const [users, setUsers] = useState([]);
   const [tab, setTab] = useState("reports"); // reports | users | system
 
-  // Fetch reports (fallback included)
+  const [reportError, setReportError] = useState("");
+  const [userError, setUserError] = useState("");
+  const apiError = (err) => err.response?.data?.message || "Request failed";
+
+  // Fetch reports
   useEffect(() => {
     axios
       .get("/api/reports")
       .then((r) => setReports(r.data))
-      .catch(() =>
-        setReports([
-          { id: 1, message: "Accident on Highway 5 🚗💥", confirmed: false },
-          { id: 2, message: "Heavy traffic at Junction 7 🚦", confirmed: true },
-        ])
-      );
+      .catch((err) => setReportError(apiError(err)));
   }, []);
 
+  // API users as table rows
+  const toRow = (u) => ({ id: u._id, name: `${u.firstName} ${u.lastName}`, role: u.role, active: u.active !== false });
+
   // Fetch users (fallback included)
   useEffect(() => {
     axios
-      .get("/api/users")
-      .then((r) => setUsers(r.data))
+      .get("/api/users", { headers: authHeader() })
+      .then((r) => setUsers(r.data.map(toRow)))
       .catch(() =>
         setUsers([
           { id: 1, name: "John Doe", role: "user", active: true },
@@ -37,59 +40,33 @@ export default function Admin() {
   // Confirm report
   function confirmReport(id) {
     axios
-      .post(`/api/reports/${id}/confirm`)
-      .then(() =>
-        setReports((prev) =>
-          prev.map((p) => (p.id === id ? { ...p, confirmed: true } : p))
-        )
-      )
-      .catch(() =>
-        setReports((prev) =>
-          prev.map((p) => (p.id === id ? { ...p, confirmed: true } : p))
-        )
-      );
+      .post(`/api/reports/${id}/confirm`, null, { headers: authHeader() })
+      .then((r) => setReports((prev) => prev.map((p) => (p._id === id ? r.data : p))))
+      .catch((err) => setReportError(apiError(err)));
   }
 
   // Delete report
   function deleteReport(id) {
     axios
-      .delete(`/api/reports/${id}`)
-      .then(() => setReports((prev) => prev.filter((p) => p.id !== id)))
-      .catch(() =>
-        setReports((prev) => prev.filter((p) => p.id !== id))
-      );
+      .delete(`/api/reports/${id}`, { headers: authHeader() })
+      .then(() => setReports((prev) => prev.filter((p) => p._id !== id)))
+      .catch((err) => setReportError(apiError(err)));
   }
 
   // Change user role
   function changeRole(id, newRole) {
     axios
-      .post(`/api/users/${id}/role`, { role: newRole })
-      .then(() =>
-        setUsers((prev) =>
-          prev.map((u) => (u.id === id ? { ...u, role: newRole } : u))
-        )
-      )
-      .catch(() =>
-        setUsers((prev) =>
-          prev.map((u) => (u.id === id ? { ...u, role: newRole } : u))
-        )
-      );
+      .post(`/api/users/${id}/role`, { role: newRole }, { headers: authHeader() })
+      .then((r) => setUsers((prev) => prev.map((u) => (u.id === id ? toRow(r.data) : u))))
+      .catch((err) => setUserError(apiError(err)));
   }
 
   // Toggle user active status
-  function toggleActive(id) {
+  function toggleActive(user) {
     axios
-      .post(`/api/users/${id}/toggle`)
-      .then(() =>
-        setUsers((prev) =>
-          prev.map((u) => (u.id === id ? { ...u, active: !u.active } : u))
-        )
-      )
-      .catch(() =>
-        setUsers((prev) =>
-          prev.map((u) => (u.id === id ? { ...u, active: !u.active } : u))
-        )
-      );
+      .patch(`/api/users/${user.id}/active`, { active: !user.active }, { headers: authHeader() })
+      .then((r) => setUsers((prev) => prev.map((u) => (u.id === user.id ? toRow(r.data) : u))))
+      .catch((err) => setUserError(apiError(err)));
   }
 
   return (
@@ -157,13 +134,18 @@ export default function Admin() {
         {/* Reports Section */}
         {tab === "reports" && (
           <div className="max-w-3xl">
+            {reportError && <p className="text-red-400 mb-4">{reportError}</p>}
             {reports.map((r) => (
               <div
-                key={r.id}
+                key={r._id}
                 className="bg-white text-black p-5 rounded-xl shadow-lg mb-4 flex justify-between items-center"
               >
                 <div>
-                  <p className="font-medium">{r.message}</p>
+                  <p className="font-medium">{r.title}</p>
+                  {r.description !== r.title && <p className="text-sm text-gray-600">{r.description}</p>}
+                  {r.source === "system" && (
+                    <p className="text-xs text-blue-600">🤖 System-detected</p>
+                  )}
                   <p
                     className={`text-sm ${
                       r.confirmed ? "text-green-600" : "text-red-600"
@@ -175,14 +157,14 @@ export default function Admin() {
                 <div className="space-x-2">
                   {!r.confirmed && (
                     <button
-                      onClick={() => confirmReport(r.id)}
+                      onClick={() => confirmReport(r._id)}
                       className="px-3 py-1 bg-green-600 text-white rounded-lg"
                     >
                       Confirm
                     </button>
                   )}
                   <button
-                    onClick={() => deleteReport(r.id)}
+                    onClick={() => deleteReport(r._id)}
                     className="px-3 py-1 bg-red-600 text-white rounded-lg"
                   >
                     Delete
@@ -196,6 +178,7 @@ export default function Admin() {
         {/* Users Section */}
         {tab === "users" && (
           <div className="max-w-4xl">
+            {userError && <p className="text-red-400 mb-4">{userError}</p>}
             <table className="w-full bg-white text-black rounded-lg shadow-lg overflow-hidden">
               <thead className="bg-indigo-700 text-white">
                 <tr>
@@ -227,7 +210,7 @@ export default function Admin() {
                         Make {u.role === "user" ? "Admin" : "User"}
                       </button>
                       <button
-                        onClick={() => toggleActive(u.id)}
+                        onClick={() => toggleActive(u)}
                         className={`px-3 py-1 ${
                           u.active ? "bg-yellow-600" : "bg-green-600"
                         } text-white rounded-lg`}
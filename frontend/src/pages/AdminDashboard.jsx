@@ -29,6 +29,7 @@ import {
   FiLogOut,
 } from "react-icons/fi";
 import { motion, AnimatePresence } from "framer-motion";
+import { authHeader } from "../services/auth";
 
 ChartJS.register(
   CategoryScale,
@@ -47,7 +48,8 @@ ChartJS.register(
  * - Paste to src/pages/AdminDashboard.jsx
  * - Requires: chart.js, react-chartjs-2, papaparse, react-icons, framer-motion
  * - Persists to localStorage keys:
- *     admin_users, admin_reports, admin_rows, admin_market, admin_orders, admin_audit
+ *     admin_users, admin_rows, admin_market, admin_orders, admin_audit
+ * - Reports and their lifecycle live on the backend (/api/reports)
  *
  * This file is intentionally verbose -- it provides many simulated/prototyping features.
  */
@@ -81,20 +83,6 @@ if (!LS.get("admin_users")) {
     { id: "u_bob", name: "Bob Smith", email: "bob@mech.com", role: "mechanic", createdAt: nowISO() },
   ]);
 }
-if (!LS.get("admin_reports")) {
-  LS.set("admin_reports", [
-    {
-      id: uid("r_"),
-      title: "Minor collision",
-      location: "Riverside Ave",
-      severity: "medium",
-      message: "Two vehicles, partial blocking of lane",
-      timestamp: new Date(Date.now() - 1000 * 60 * 60).toISOString(),
-      confirmed: false,
-      assignedTo: null,
-    },
-  ]);
-}
 if (!LS.get("admin_rows")) {
   LS.set("admin_rows", [
     { route: "R1", timestamp: new Date(Date.now() - 3600 * 1000 * 24 * 2).toISOString(), value: 45, lat: 0.3476, lng: 32.5825 },
@@ -117,6 +105,13 @@ if (!LS.get("admin_audit")) {
   ]);
 }
 
+/* -------------------- Backend API -------------------- */
+const api = (url, options = {}) =>
+  fetch(url, { ...options, headers: { "Content-Type": "application/json", ...authHeader() } })
+    .then((res) => res.json().then((data) => (res.ok ? data : Promise.reject(new Error(data.message || res.status)))));
+
+const STATUS_COLORS = { new: "#f59e0b", verified: "#0ea5a4", dispatched: "#6366f1", "on-scene": "#8b5cf6", resolved: "#10b981", closed: "#64748b", rejected: "#ef4444", duplicate: "#94a3b8", expired: "#a8a29e" };
+
 /* -------------------- Safe helpers -------------------- */
 const safeStr = (v) => (v == null ? "" : String(v));
 const safeIncludes = (hay, needle) => safeStr(hay).toLowerCase().includes(safeStr(needle).toLowerCase());
@@ -134,7 +129,11 @@ function Badge({ children, color = "#ef4444" }) {
 export default function AdminDashboard() {
   // Load persisted data
   const [users, setUsers] = useState(() => LS.get("admin_users", []));
-  const [reports, setReports] = useState(() => LS.get("admin_reports", []));
+  const [reports, setReports] = useState([]);
+  const [workflow, setWorkflow] = useState({ transitions: {}, roles: {} });
+  const [timeline, setTimeline] = useState(null); // { id, history } of the expanded report
+  const [responders, setResponders] = useState([]); // users with a responder role (backend)
+  const [lockouts, setLockouts] = useState([]); // throttled login accounts / addresses (backend)
   const [rows, setRows] = useState(() => LS.get("admin_rows", []));
   const [market, setMarket] = useState(() => LS.get("admin_market", []));
   const [orders, setOrders] = useState(() => LS.get("admin_orders", []));
@@ -156,7 +155,6 @@ export default function AdminDashboard() {
 
   // persist changes to localStorage
   useEffect(() => LS.set("admin_users", users), [users]);
-  useEffect(() => LS.set("admin_reports", reports), [reports]);
   useEffect(() => LS.set("admin_rows", rows), [rows]);
   useEffect(() => LS.set("admin_market", market), [market]);
   useEffect(() => LS.set("admin_orders", orders), [orders]);
@@ -200,27 +198,123 @@ export default function AdminDashboard() {
     pushAudit("admin", `Bulk role assign ${role} to ${ids.length} users`);
   }
 
-  /* -------------------- Reports management -------------------- */
+  /* -------------------- Reports management (backend lifecycle) -------------------- */
+  const role = LS.get("currentUser", null)?.role || "admin";
+  const nextStatuses = (r) => (workflow.transitions[r.status] || []).filter((to) => (workflow.roles[to] || []).includes(role));
+
+  function loadReports() {
+    api("/api/reports?includeDuplicates=true").then(setReports).catch((err) => setNotif((n) => [`Could not load reports: ${err.message}`, ...n]));
+  }
+  useEffect(() => {
+    loadReports();
+    api("/api/reports/workflow").then(setWorkflow).catch(() => {});
+    api("/api/dispatch/responders").then(setResponders).catch(() => {});
+  }, []);
+
+  /* -------------------- Login lockouts (backend) -------------------- */
+  function loadLockouts() {
+    api("/api/admin/lockouts").then(setLockouts).catch((err) => setNotif((n) => [`Could not load lockouts: ${err.message}`, ...n]));
+  }
+  useEffect(() => {
+    if (tab === "users") loadLockouts();
+  }, [tab]);
+
+  function clearLockout(id) {
+    api(`/api/admin/lockouts/${id}`, { method: "DELETE" })
+      .then((r) => {
+        setLockouts((p) => p.filter((l) => l._id !== id));
+        setNotif((n) => [r.message, ...n]);
+        pushAudit("admin", r.message);
+      })
+      .catch((err) => setNotif((n) => [`Could not clear lockout: ${err.message}`, ...n]));
+  }
+
   function addReport(payload) {
-    const r = { ...payload, id: uid("r_"), timestamp: nowISO(), confirmed: false, assignedTo: null };
-    setReports((p) => [r, ...p]);
-    setNotif((n) => [`Report added: ${r.title}`, ...n]);
-    pushAudit("admin", `Added report ${r.title}`);
+    api("/api/reports", { method: "POST", body: JSON.stringify(payload) })
+      .then((r) => {
+        setReports((p) => [r, ...p]);
+        setNotif((n) => [`Report added: ${r.title}`, ...n]);
+        pushAudit("admin", `Added report ${r.title}`);
+      })
+      .catch((err) => setNotif((n) => [`Could not add report: ${err.message}`, ...n]));
+  }
+  function transitionReport(id, status) {
+    const duplicateOf = status === "duplicate" ? window.prompt("Id of the incident this report duplicates:") : undefined;
+    if (duplicateOf === null) return;
+    // an unassigned report is dispatched by assigning a responder
+    const unassigned = status === "dispatched" && !reports.find((r) => r._id === id)?.assignment;
+    const responder = unassigned ? window.prompt("Id of the responder to dispatch:") : undefined;
+    if (responder === null) return;
+    const note = window.prompt(`Note for marking this report as "${status}" (optional):`);
+    if (note === null) return;
+    api(`/api/reports/${id}/transition`, { method: "POST", body: JSON.stringify({ status, note, duplicateOf, responder }) })
+      .then((updated) => {
+        // merging and splitting also change the incident's child count
+        if (status === "duplicate" || updated.history.at(-1)?.from === "duplicate") loadReports();
+        else setReports((prev) => prev.map((r) => (r._id === id ? updated : r)));
+        if (timeline?.id === id) setTimeline({ id, history: updated.history });
+        setNotif((n) => [`Report marked ${status}`, ...n]);
+        pushAudit("admin", `Report ${id} -> ${status}${note ? `: ${note}` : ""}`);
+      })
+      .catch((err) => setNotif((n) => [`Could not update report: ${err.message}`, ...n]));
+  }
+  // Partner feed file (DATEX II, CIFS, Open511); the format is detected by the backend
+  function importFeed(file) {
+    if (!file) return;
+    const agency = window.prompt("Agency the feed comes from (shown as the reporter):", "");
+    if (agency === null) return;
+    const data = new FormData();
+    data.append("file", file);
+    if (agency) data.append("agency", agency);
+    fetch("/api/reports/import", { method: "POST", headers: authHeader(), body: data })
+      .then((res) => res.json().then((body) => (res.ok ? body : Promise.reject(new Error(body.message || res.status)))))
+      .then((summary) => {
+        loadReports();
+        setNotif((n) => [
+          `Imported ${summary.format} feed: ${summary.created} new, ${summary.updated} updated, ${summary.resolved} resolved, ${summary.duplicates} duplicates, ${summary.skipped} skipped, ${summary.rejected.length} rejected`,
+          ...summary.rejected.slice(0, 5).map((r) => `Rejected record ${r.id ?? `#${r.index}`}: ${r.reason}`),
+          ...n,
+        ]);
+        pushAudit("admin", `Imported ${summary.total} records from ${summary.feed}`);
+      })
+      .catch((err) => setNotif((n) => [`Could not import feed: ${err.message}`, ...n]));
+  }
+  function moveReport(id) {
+    const into = window.prompt("Id of the incident to move this report (and its duplicates) into:");
+    if (!into) return;
+    api(`/api/reports/${id}/merge`, { method: "POST", body: JSON.stringify({ into }) })
+      .then(() => {
+        loadReports();
+        setNotif((n) => [`Report merged into ${into}`, ...n]);
+        pushAudit("admin", `Merged report ${id} into ${into}`);
+      })
+      .catch((err) => setNotif((n) => [`Could not merge report: ${err.message}`, ...n]));
   }
-  function confirmReport(id) {
-    setReports((prev) => prev.map((r) => (r.id === id ? { ...r, confirmed: true } : r)));
-    setNotif((n) => [`Report confirmed`, ...n]);
-    pushAudit("admin", `Confirmed report ${id}`);
+  function toggleTimeline(id) {
+    if (timeline?.id === id) return setTimeline(null);
+    api(`/api/reports/${id}/timeline`)
+      .then((t) => setTimeline({ id, history: t.history }))
+      .catch((err) => setNotif((n) => [`Could not load timeline: ${err.message}`, ...n]));
   }
   function removeReport(id) {
-    setReports((prev) => prev.filter((r) => r.id !== id));
-    setNotif((n) => [`Report removed`, ...n]);
-    pushAudit("admin", `Removed report ${id}`);
+    api(`/api/reports/${id}`, { method: "DELETE" })
+      .then(() => {
+        setReports((prev) => prev.filter((r) => r._id !== id));
+        setNotif((n) => [`Report removed`, ...n]);
+        pushAudit("admin", `Removed report ${id}`);
+      })
+      .catch((err) => setNotif((n) => [`Could not remove report: ${err.message}`, ...n]));
   }
-  function assignReport(id, userId) {
-    setReports((prev) => prev.map((r) => (r.id === id ? { ...r, assignedTo: userId } : r)));
-    setNotif((n) => [`Assigned report to user`, ...n]);
-    pushAudit("admin", `Assigned report ${id} to ${userId}`);
+  function assignReport(id, responderId) {
+    if (!responderId) return;
+    api(`/api/dispatch/reports/${id}/assign`, { method: "POST", body: JSON.stringify({ responder: responderId }) })
+      .then((updated) => {
+        setReports((prev) => prev.map((r) => (r._id === id ? { ...r, ...updated } : r)));
+        const who = responders.find((u) => u._id === responderId);
+        setNotif((n) => [`Assigned report to ${who ? `${who.firstName} ${who.lastName}` : "responder"}`, ...n]);
+        pushAudit("admin", `Assigned report ${id} to ${responderId}`);
+      })
+      .catch((err) => setNotif((n) => [`Could not assign report: ${err.message}`, ...n]));
   }
 
   /* -------------------- Dataset handling -------------------- */
@@ -315,29 +409,19 @@ export default function AdminDashboard() {
     pushAudit("admin", `Order ${order.id} placed`);
   }
 
-  /* -------------------- Simple rule-based route recommender -------------------- */
+  /* -------------------- Route recommender (backend route planner) -------------------- */
   function recommendRoute(from, to) {
-    // uses aggregated rows: compute average value per route and suggest lowest avg
-    const byRoute = {};
-    rows.forEach((r) => {
-      const route = r.route || "Unknown";
-      if (!byRoute[route]) byRoute[route] = { sum: 0, count: 0 };
-      const v = Number(r.value);
-      if (!Number.isNaN(v)) {
-        byRoute[route].sum += v;
-        byRoute[route].count += 1;
-      }
-    });
-    const routeAvgs = Object.keys(byRoute).map((route) => ({ route, avg: byRoute[route].count ? byRoute[route].sum / byRoute[route].count : Infinity }));
-    routeAvgs.sort((a, b) => a.avg - b.avg);
-    // pick top 3 suggestions
-    const suggestions = routeAvgs.slice(0, 3).map((r) => `${r.route} (est. ${Math.round(r.avg || 0)}%)`);
-    const advice = suggestions.length ? suggestions.join(" — ") : "No route data available";
-    // append to AI chat
-    const entry = { id: uid("ai_"), who: "assistant", text: `Recommended routes from ${from} to ${to}: ${advice}` };
-    setAiChat((c) => [...c, entry]);
+    const say = (text) => setAiChat((c) => [...c, { id: uid("ai_"), who: "assistant", text }]);
+    fetch(`/api/routes/plan?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`)
+      .then((res) => res.json().then((data) => (res.ok ? data : Promise.reject(new Error(data.message || res.status)))))
+      .then((plan) => {
+        const describe = (r) => `${[...new Set(r.steps.map((s) => s.name))].join(" → ")} (${Math.round(r.durationMin)} min, ${r.distanceKm} km)`;
+        const [best, ...alternatives] = plan.routes;
+        say(`Route from ${plan.from.name} to ${plan.to.name}: ${describe(best)}, ETA ${new Date(best.eta).toLocaleTimeString()}` +
+          (alternatives.length ? `. Alternatives: ${alternatives.map(describe).join(" — ")}` : ""));
+      })
+      .catch((err) => say(`Could not plan a route from ${from} to ${to}: ${err.message}`));
     pushAudit("ai", `Route recommended for ${from}->${to}`);
-    return advice;
   }
 
   /* -------------------- AI Assistant (simple rule-based) -------------------- */
@@ -345,13 +429,14 @@ export default function AdminDashboard() {
     const q = text.toLowerCase();
     let resp = "I didn't understand. Try: 'recommend route', 'show stats', 'export data', or 'list users'";
     if (q.includes("recommend") || q.includes("route")) {
-      // try to extract from/to
-      const parts = q.split(" ");
-      // naive: if contains 'to' word, take tokens around it
-      const toIndex = parts.indexOf("to");
-      const from = "your location";
-      const to = toIndex !== -1 ? parts.slice(toIndex + 1, toIndex + 3).join(" ") || "destination" : "destination";
-      resp = `Simulated recommendation: ${recommendRoute(from, to)}`;
+      // expects "... from <intersection or lat,lng> to <intersection or lat,lng>"
+      const m = /from\s+(.+?)\s+to\s+(.+?)[?.!]*$/i.exec(text.trim());
+      if (m) {
+        recommendRoute(m[1], m[2]);
+        resp = `Planning the fastest route from ${m[1]} to ${m[2]}…`;
+      } else {
+        resp = "Tell me where from and to, e.g. 'recommend route from I1 to I3'.";
+      }
     } else if (q.includes("show") && q.includes("stats")) {
       resp = `Dataset rows: ${rows.length}, Reports: ${reports.length}, Users: ${users.length}`;
     } else if (q.includes("export")) {
@@ -421,7 +506,6 @@ export default function AdminDashboard() {
   /* -------------------- Reset demo -------------------- */
   function resetDemo() {
     LS.remove("admin_users");
-    LS.remove("admin_reports");
     LS.remove("admin_rows");
     LS.remove("admin_market");
     LS.remove("admin_orders");
@@ -444,6 +528,8 @@ export default function AdminDashboard() {
           <select style={styles.select} value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
             <option value="user">User</option>
             <option value="admin">Admin</option>
+            <option value="moderator">Moderator</option>
+            <option value="analyst">Analyst</option>
             <option value="mechanic">Mechanic</option>
             <option value="operator">Operator</option>
           </select>
@@ -574,6 +660,8 @@ export default function AdminDashboard() {
                           <select value={u.role} onChange={(e) => updateUser(u.id, { role: e.target.value })} style={styles.selectSmall}>
                             <option value="user">User</option>
                             <option value="admin">Admin</option>
+                            <option value="moderator">Moderator</option>
+                            <option value="analyst">Analyst</option>
                             <option value="mechanic">Mechanic</option>
                             <option value="operator">Operator</option>
                           </select>
@@ -585,6 +673,29 @@ export default function AdminDashboard() {
                   </div>
                 )}
               </div>
+
+              <div style={{ marginTop: 16 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                  <h4 style={{ margin: 0 }}>Login lockouts ({lockouts.filter((l) => l.locked).length} locked)</h4>
+                  <button onClick={loadLockouts} style={styles.btnGhost}>Refresh</button>
+                </div>
+                {lockouts.length === 0 ? <div style={{ color: "#64748b", marginTop: 8 }}>No failed logins</div> : (
+                  <div style={{ display: "grid", gap: 6, marginTop: 8 }}>
+                    {lockouts.map((l) => (
+                      <div key={l._id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: 8, borderRadius: 8, border: "1px solid #eef2f7" }}>
+                        <div>
+                          <div style={{ fontWeight: 700 }}>{l.key} {l.locked && <Badge>LOCKED</Badge>}</div>
+                          <div style={{ color: "#64748b", fontSize: 13 }}>
+                            {l.locked ? `until ${new Date(l.lockedUntil).toLocaleTimeString()}` : `${l.failures} recent failure(s)`}
+                            {l.lastFailureAt && ` · last ${new Date(l.lastFailureAt).toLocaleString()}`}
+                          </div>
+                        </div>
+                        <button onClick={() => clearLockout(l._id)} style={smallBtn}>Clear</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
             </motion.div>
           )}
 
@@ -594,28 +705,62 @@ export default function AdminDashboard() {
               <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
                 <h3 style={{ margin: 0 }}>Reports ({reports.length})</h3>
                 <div style={{ display: "flex", gap: 8 }}>
-                  <button onClick={() => { addReport({ title: "Demo report", location: "Test Rd", severity: "low", message: "Demo" }); }} style={styles.btnGhost}><FiPlus /> Quick</button>
-                  <button onClick={() => { setReports([]); setNotif((n) => ["Cleared reports", ...n]); pushAudit("admin", "Cleared all reports"); }} style={styles.ghostBtn}>Clear</button>
+                  <button onClick={() => { addReport({ title: "Demo report", address: "Test Rd", severity: "low", description: "Demo" }); }} style={styles.btnGhost}><FiPlus /> Quick</button>
+                  <button onClick={() => loadReports()} style={styles.ghostBtn}>Refresh</button>
+                  <label style={{ ...styles.ghostBtn, cursor: "pointer" }} title="DATEX II XML, CIFS or Open511 JSON">
+                    Import feed
+                    <input type="file" accept=".xml,.json" onChange={(e) => { importFeed(e.target.files[0]); e.target.value = ""; }} style={{ display: "none" }} />
+                  </label>
+                  {["geojson", "csv", "kml"].map((format) => (
+                    <a key={format} href={`/api/reports/export?format=${format}`} download style={{ ...styles.ghostBtn, textDecoration: "none" }}>{format.toUpperCase()}</a>
+                  ))}
                 </div>
               </div>
 
               <div style={{ marginTop: 12, display: "grid", gap: 8 }}>
                 {reports.length === 0 && <div style={{ color: "#64748b" }}>No reports</div>}
                 {reports.map((r) => (
-                  <div key={r.id} style={{ padding: 10, borderRadius: 8, border: "1px solid #eef2f7", background: r.confirmed ? "#f0fdf4" : "#fff" }}>
+                  <div key={r._id} style={{ padding: 10, borderRadius: 8, border: "1px solid #eef2f7", background: r.confirmed ? "#f0fdf4" : "#fff" }}>
                     <div style={{ display: "flex", justifyContent: "space-between" }}>
                       <div>
-                        <div style={{ fontWeight: 800 }}>{r.title} <span style={{ fontSize: 12, color: "#64748b", marginLeft: 8 }}>{r.severity}</span></div>
-                        <div style={{ color: "#475569", marginTop: 6 }}>{r.message}</div>
-                        <div style={{ color: "#9ca3af", marginTop: 6, fontSize: 12 }}>{r.location || "Location unknown"} • {new Date(r.timestamp).toLocaleString()}</div>
+                        <div style={{ fontWeight: 800 }}>{r.title} <span style={{ fontSize: 12, color: "#64748b", marginLeft: 8 }}>{r.severity}</span> <Badge color={STATUS_COLORS[r.status]}>{r.status}</Badge></div>
+                        <div style={{ color: "#475569", marginTop: 6 }}>{r.description}</div>
+                        <div style={{ color: "#9ca3af", marginTop: 6, fontSize: 12 }}>{r.address || "Location unknown"} • {new Date(r.createdAt).toLocaleString()}</div>
+                        <div style={{ color: "#64748b", marginTop: 4, fontSize: 12 }}>
+                          {r.duplicateOf ? `Duplicate of ${reports.find((p) => p._id === r.duplicateOf)?.title || r.duplicateOf}` : `Incident ${r._id}`}
+                          {r.childCount > 0 ? ` • ${r.childCount} linked report${r.childCount === 1 ? "" : "s"}` : ""}
+                        </div>
+                        <button onClick={() => toggleTimeline(r._id)} style={{ ...smallBtn, marginTop: 6, fontSize: 12 }}>{timeline?.id === r._id ? "Hide timeline" : "Timeline"}</button>
+                        {timeline?.id === r._id && (
+                          <ol style={{ margin: "6px 0 0", paddingLeft: 18, fontSize: 12, color: "#475569" }}>
+                            {timeline.history.map((h, i) => (
+                              <li key={i}>
+                                {new Date(h.at).toLocaleString()} — {h.from ? `${h.from} → ${h.to}` : h.to}
+                                {h.actor ? ` by ${h.actor.firstName || ""} ${h.actor.lastName || ""}`.trimEnd() : ""}
+                                {h.note ? `: ${h.note}` : ""}
+                              </li>
+                            ))}
+                          </ol>
+                        )}
                       </div>
                       <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-                        {!r.confirmed && <button onClick={() => confirmReport(r.id)} style={{ ...smallBtn, background: "#10b981", color: "#fff" }}>Mark Resolved</button>}
-                        <select value={r.assignedTo || ""} onChange={(e) => assignReport(r.id, e.target.value)} style={styles.selectSmall}>
-                          <option value="">Assign</option>
-                          {users.filter(u => u.role === "mechanic" || u.role === "admin").map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
-                        </select>
-                        <button onClick={() => removeReport(r.id)} style={smallDanger}><FiTrash2 /></button>
+                        {nextStatuses(r).map((to) => (
+                          <button key={to} onClick={() => transitionReport(r._id, to)} style={{ ...smallBtn, background: STATUS_COLORS[to], color: "#fff" }}>{to}</button>
+                        ))}
+                        <button onClick={() => moveReport(r._id)} style={smallBtn} title="Merge into another incident">Merge…</button>
+                        {["verified", "dispatched", "on-scene"].includes(r.status) && (
+                          <select value={r.assignment?.responder || ""} onChange={(e) => assignReport(r._id, e.target.value)} style={styles.selectSmall}>
+                            <option value="">Assign</option>
+                            {responders.map((u) => <option key={u._id} value={u._id}>{u.firstName} {u.lastName} ({u.role}, {u.activeIncidents} active)</option>)}
+                          </select>
+                        )}
+                        {r.assignment && (
+                          <div style={{ fontSize: 11, color: "#64748b" }}>
+                            {r.assignment.arrivedAt ? "On scene" : r.assignment.acknowledgedAt ? "Acknowledged" : "Awaiting ack"}
+                            {!r.assignment.arrivedAt && ` • due ${new Date(r.assignment.acknowledgedAt ? r.assignment.arriveDueAt : r.assignment.ackDueAt).toLocaleTimeString()}`}
+                          </div>
+                        )}
+                        <button onClick={() => removeReport(r._id)} style={smallDanger}><FiTrash2 /></button>
                       </div>
                     </div>
                   </div>
@@ -719,7 +864,7 @@ export default function AdminDashboard() {
               <div style={{ marginTop: 12, display: "flex", gap: 8 }}>
                 <button onClick={() => resetDemo()} style={{ ...styles.btn, ...styles.btnDanger }}>Reset Demo</button>
                 <button onClick={() => { pushAudit("admin", "Manual backup snapshot"); navigator.clipboard?.writeText(JSON.stringify({ users, reports, rows, market, orders }).slice(0, 4000)); setNotif((n) => ["Snapshot copied to clipboard", ...n]); }} style={styles.btnGhost}>Snapshot</button>
-                <button onClick={() => { LS.remove("admin_users"); LS.remove("admin_reports"); LS.remove("admin_rows"); LS.remove("admin_market"); LS.remove("admin_orders"); LS.remove("admin_audit"); setNotif((n) => ["Cleared all admin storage", ...n]); }} style={styles.ghostBtn}>Wipe Storage</button>
+                <button onClick={() => { LS.remove("admin_users"); LS.remove("admin_rows"); LS.remove("admin_market"); LS.remove("admin_orders"); LS.remove("admin_audit"); setNotif((n) => ["Cleared all admin storage", ...n]); }} style={styles.ghostBtn}>Wipe Storage</button>
               </div>
             </motion.div>
           )}
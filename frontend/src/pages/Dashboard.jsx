@@ -1,8 +1,10 @@
 // src/pages/Dashboard.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import Papa from "papaparse";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, Polyline } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
+import { subscribeTraffic } from "../services/trafficSocket";
+import IncidentLayer from "../components/IncidentLayer";
 import {
   ResponsiveContainer,
   LineChart,
@@ -56,21 +58,33 @@ const setLS = (k, v, loggedIn) => {
   } catch {}
 };
 
-/* ----------------- Simple Predictor ----------------- heuristic */
-function simplePredictor(groups, numericKey) {
-  const avgs = groups.map((g) => g.avg).filter((v) => typeof v === "number");
-  if (avgs.length === 0) return groups.map((g) => ({ ...g, prediction: "Unknown" }));
-  const sorted = [...avgs].sort((a, b) => a - b);
-  const q1 = sorted[Math.floor(sorted.length * 0.25)];
-  const q3 = sorted[Math.floor(sorted.length * 0.75)];
-  return groups.map((g) => {
-    let pred = "Moderate";
-    if (typeof g.avg !== "number") pred = "NoData";
-    else if (g.avg >= q3) pred = "Heavy";
-    else if (g.avg <= q1) pred = "Light";
-    return { ...g, prediction: pred };
+/* ----------------- Live traffic history ----------------- */
+// Collapse per-road history buckets from /api/traffic/history into one network-wide series
+const toNetworkSeries = (points = []) => {
+  const byBucket = {};
+  points.forEach((p) => {
+    const key = new Date(p.bucketStart).toISOString().slice(0, 16);
+    byBucket[key] = (byBucket[key] || 0) + (p.inbound || 0) + (p.outbound || 0);
   });
-}
+  return Object.keys(byBucket).sort().map((k) => ({ date: k, value: +byBucket[k].toFixed(2) }));
+};
+
+/* ----------------- Forecasts ----------------- */
+// Bucket road directions by their forecast level of service for the distribution chart
+const FORECAST_GROUPS = [
+  { name: "Light", levels: ["A", "B"] },
+  { name: "Moderate", levels: ["C", "D"] },
+  { name: "Heavy", levels: ["E", "F"] },
+];
+const forecastGroups = (forecasts = [], horizon = 30) => {
+  const levels = forecasts.flatMap((f) => {
+    const h = f.forecasts.find((x) => x.horizon === horizon);
+    return h ? [h.inboundLos, h.outboundLos] : [];
+  });
+  return FORECAST_GROUPS
+    .map((g) => ({ name: g.name, count: levels.filter((l) => g.levels.includes(l)).length }))
+    .filter((g) => g.count > 0);
+};
 
 /* ----------------- Subcomponents ----------------- */
 
@@ -283,12 +297,27 @@ function ChartsArea({ series, topRoutes, predictionGroups }) {
 /* Map viewer showing dataset markers and simulated routes */
 function MapView({ rows, latCol, lngCol, routeCol, valueCol }) {
   const hasGeo = latCol && lngCol && rows.some((r) => isNumeric(r[latCol]) && isNumeric(r[lngCol]));
+  const [network, setNetwork] = useState({ roads: [], intersections: [] });
+
+  // configured road network from the backend (GeoJSON is [lng, lat], leaflet wants [lat, lng])
+  useEffect(() => {
+    fetch("/api/roads/network")
+      .then((res) => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then(setNetwork)
+      .catch(() => {});
+  }, []);
   return (
     <div style={styles.card}>
       <h3 style={styles.cardTitle}>Map & Route Planner</h3>
       <div style={{ height: 360, borderRadius: 12, overflow: "hidden" }}>
         <MapContainer center={[0.3476, 32.5825]} zoom={12} style={{ height: "100%", width: "100%" }}>
           <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+          {network.roads.map((road) => (road.geometry?.coordinates || []).length >= 2 && (
+            <Polyline key={road.code} positions={road.geometry.coordinates.map(([lng, lat]) => [lat, lng])} pathOptions={{ color: "#06b6d4", weight: 5 }}>
+              <Popup><strong>{road.code}</strong> — {road.name}<br />{road.lanesInbound} in / {road.lanesOutbound} out lanes • {road.speedLimit} km/h</Popup>
+            </Polyline>
+          ))}
+          <IncidentLayer />
           {hasGeo ? rows.slice(0, 300).map((r, i) => {
             const lat = Number(r[latCol]);
             const lng = Number(r[lngCol]);
@@ -304,11 +333,15 @@ function MapView({ rows, latCol, lngCol, routeCol, valueCol }) {
               </Marker>
             );
           }) : (
-            // fallback demo markers
-            <>
-              <Marker position={[0.3476, 32.5825]}><Popup>Central Hub</Popup></Marker>
-              <Marker position={[0.3526, 32.585]}><Popup>Example node A</Popup></Marker>
-            </>
+            // no dataset: show the network's intersections (demo markers if the API is offline)
+            network.intersections.length > 0 ? network.intersections.map((i) => (
+              <Marker key={i.code} position={[i.location.coordinates[1], i.location.coordinates[0]]}><Popup>{i.name}</Popup></Marker>
+            )) : (
+              <>
+                <Marker position={[0.3476, 32.5825]}><Popup>Central Hub</Popup></Marker>
+                <Marker position={[0.3526, 32.585]}><Popup>Example node A</Popup></Marker>
+              </>
+            )
           )}
         </MapContainer>
       </div>
@@ -316,37 +349,78 @@ function MapView({ rows, latCol, lngCol, routeCol, valueCol }) {
   );
 }
 
-/* Predictions panel explaining results and recommending best routes */
-function PredictionsPanel({ predictions, topRoutes, loggedIn }) {
-  // summarize counts
-  const counts = predictions.reduce((acc, p) => { acc[p.prediction] = (acc[p.prediction] || 0) + 1; return acc; }, {});
-  // recommended routes: pick routes predicted Light or moderate and with low avg
+/* Live road states pushed from the backend simulation / sensors */
+const LOS_COLORS = { A: "#10b981", B: "#34d399", C: "#facc15", D: "#f59e0b", E: "#f97316", F: "#ef4444" };
+const LosBadge = ({ level }) => level ? (
+  <span title={`Level of service ${level}`} style={{ display: "inline-block", minWidth: 18, textAlign: "center", marginLeft: 4, borderRadius: 4, color: "#fff", fontWeight: 800, fontSize: 11, background: LOS_COLORS[level] || "#94a3b8" }}>{level}</span>
+) : null;
+
+function LiveTraffic() {
+  const [roads, setRoads] = useState([]);
+  useEffect(() => subscribeTraffic({}, setRoads), []);
+
+  return (
+    <div style={styles.card}>
+      <h4 style={styles.cardTitle}>Live Traffic</h4>
+      {roads.length === 0 ? <div style={styles.muted}>Waiting for live data…</div> : (
+        <div style={{ display: "grid", gap: 6 }}>
+          {roads.map((r) => (
+            <div key={r.id} style={{ display: "flex", justifyContent: "space-between", fontSize: 13, borderBottom: "1px solid #eef2f6", paddingBottom: 4 }}>
+              <div><strong>{r.id}</strong> <span style={styles.mutedSmall}>{r.name}</span></div>
+              <div>↗ {r.inbound} veh/h<LosBadge level={r.inboundLos} /> · ↘ {r.outbound} veh/h<LosBadge level={r.outboundLos} /></div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Predictions panel: backend flow forecasts per road plus low-congestion dataset routes */
+function PredictionsPanel({ forecasts, topRoutes, loggedIn }) {
+  // recommended routes: dataset routes with the lowest averages
   const recommended = (topRoutes || []).slice(-3).map(r => r.route).slice(0,3);
+  const fmt = (f) => f.lower == null ? `${Math.round(f.value)}` : `${Math.round(f.value)} (${Math.round(f.lower)}–${Math.round(f.upper)})`;
   return (
     <div style={styles.card}>
       <h3 style={styles.cardTitle}>Predictions & Recommendations</h3>
-      {predictions.length === 0 ? (
-        <div style={styles.muted}>No predictions yet. Upload and choose columns to run model.</div>
+      {forecasts.length === 0 ? (
+        <div style={styles.muted}>No forecasts yet — the server needs some recorded traffic history first.</div>
       ) : (
-        <>
-          <div style={{ display: "flex", gap: 12, marginBottom: 8 }}>
-            <div style={styles.predictBadge}><div style={{ fontSize: 18, fontWeight: 800 }}>{counts["Heavy"] || 0}</div><div style={{ fontSize: 12 }}>Heavy</div></div>
-            <div style={styles.predictBadge}><div style={{ fontSize: 18, fontWeight: 800 }}>{counts["Moderate"] || 0}</div><div style={{ fontSize: 12 }}>Moderate</div></div>
-            <div style={styles.predictBadge}><div style={{ fontSize: 18, fontWeight: 800 }}>{counts["Light"] || 0}</div><div style={{ fontSize: 12 }}>Light</div></div>
-          </div>
-
-          <div>
-            <strong>Recommended (simulated)</strong>
-            <ol>
-              {recommended.map((r, i) => <li key={i}>{r} — low congestion candidate</li>)}
-              {recommended.length === 0 && <li>No recommendation yet.</li>}
-            </ol>
-            <div style={{ fontStyle: "italic", color: "#475569" }}>Note: Predictions are heuristic and more accurate when logged in and dataset is richer.</div>
-          </div>
-
-          {!loggedIn && <div style={{ marginTop: 8, color: "#ef4444", fontWeight: 700 }}>Log in to save predictions & get premium model explanations.</div>}
-        </>
+        <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: "#475569" }}>
+              <th>Road</th>
+              {forecasts[0].forecasts.map((h) => <th key={h.horizon}>+{h.horizon} min</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {forecasts.map((f) => (
+              <tr key={f.road} style={{ borderTop: "1px solid #e2e8f0" }}>
+                <td style={{ fontWeight: 700 }}>{f.name || f.road}</td>
+                {f.forecasts.map((h) => (
+                  <td key={h.horizon}>
+                    <div>In {fmt(h.inbound)}<LosBadge level={h.inboundLos} /></div>
+                    <div>Out {fmt(h.outbound)}<LosBadge level={h.outboundLos} /></div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {forecasts.length > 0 && <div style={{ fontStyle: "italic", color: "#475569", marginTop: 6 }}>Vehicles/hour with 95% range ({forecasts[0].method}).</div>}
+
+      {recommended.length > 0 && (
+        <div style={{ marginTop: 8 }}>
+          <strong>Lowest congestion in dataset</strong>
+          <ol>
+            {recommended.map((r, i) => <li key={i}>{r} — low congestion candidate</li>)}
+          </ol>
+        </div>
       )}
+
+      {!loggedIn && <div style={{ marginTop: 8, color: "#ef4444", fontWeight: 700 }}>Log in to save predictions & get premium model explanations.</div>}
     </div>
   );
 }
@@ -463,7 +537,7 @@ function Assistant({ open, onClose, onQuery }) {
     // very small rule-based responses
     let ans = "I did not understand. Try: 'predict', 'routes', 'help', 'trivia score'.";
     const txt = q.toLowerCase();
-    if (txt.includes("predict")) ans = "Upload data and choose route & value columns to run predictions. Click 'Run Predict'.";
+    if (txt.includes("predict")) ans = "Road forecasts for the next 15, 30 and 60 minutes are in the Predictions panel; they come from the recorded traffic history.";
     else if (txt.includes("routes")) ans = "Recommended routes appear in Predictions panel — light routes have green labels.";
     else if (txt.includes("help")) ans = "Start with Upload → Inspect → Visualize. Use Social to post incidents.";
     else if (txt.includes("trivia")) ans = "Open the Trivia game on this page and complete levels. Scores saved when logged in.";
@@ -723,9 +797,10 @@ export default function Dashboard() {
   // analytics
   const [statsByRoute, setStatsByRoute] = useState([]);
   const [series, setSeries] = useState([]);
-  const [predictions, setPredictions] = useState([]);
+  const [forecasts, setForecasts] = useState([]);
   const [predGroups, setPredGroups] = useState([]);
   const [topRoutes, setTopRoutes] = useState([]);
+  const [liveSeries, setLiveSeries] = useState([]);
 
   // UI
   const [assistantOpen, setAssistantOpen] = useState(false);
@@ -766,7 +841,6 @@ export default function Dashboard() {
     const { routeCol, valueCol, timeCol } = selectedCols;
     if (!rows || rows.length === 0 || !routeCol || !valueCol) {
       setStatsByRoute([]);
-      setPredictions([]);
       setTopRoutes([]);
     } else {
       const byRoute = {};
@@ -784,15 +858,9 @@ export default function Dashboard() {
         return { route, avg: count > 0 ? +(sum / count).toFixed(2) : null, count };
       });
       setStatsByRoute(stats);
-      // predictions heuristic
-      const preds = simplePredictor(stats, valueCol);
-      setPredictions(preds);
       // top routes
       const top = stats.filter(s => typeof s.avg === "number").sort((a,b)=>b.avg-a.avg).slice(0,10);
       setTopRoutes(top);
-      // pred groups
-      const counts = ["Heavy","Moderate","Light"].map(k => ({ name: k, count: preds.filter(p => p.prediction === k).length }));
-      setPredGroups(counts);
     }
 
     // time series
@@ -816,6 +884,29 @@ export default function Dashboard() {
     }
   }, [rows, selectedCols]);
 
+  /* ---------- recorded network history (shown until a dataset provides a time series) ---------- */
+  useEffect(() => {
+    const from = new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString();
+    fetch(`/api/traffic/history?from=${encodeURIComponent(from)}&bucket=15m`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then((data) => setLiveSeries(toNetworkSeries(data.points)))
+      .catch(() => setLiveSeries([]));
+  }, []);
+
+  /* ---------- road forecasts (refreshed as new 15-minute buckets complete) ---------- */
+  useEffect(() => {
+    const load = () => fetch("/api/traffic/forecast")
+      .then((res) => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then((data) => {
+        setForecasts(data.roads || []);
+        setPredGroups(forecastGroups(data.roads));
+      })
+      .catch(() => {});
+    load();
+    const timer = setInterval(load, 5 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
   /* ---------- report submit ---------- */
   const submitReport = (e) => {
     e && e.preventDefault();
@@ -833,7 +924,7 @@ export default function Dashboard() {
   /* ---------- minor helpers ---------- */
   const clearData = () => { setRows([]); setColumns([]); setSelectedCols({ routeCol: "", timeCol: "", valueCol: "", latCol: "", lngCol: "" }); setNotifications((n) => ["Cleared dataset", ...n].slice(0,6)); };
   const exportJSON = () => {
-    const payload = { meta: { generatedAt: now(), rows: rows.length }, statsByRoute, predictions, series };
+    const payload = { meta: { generatedAt: now(), rows: rows.length }, statsByRoute, forecasts, series };
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a"); a.href = url; a.download = "dashboard_export.json"; a.click(); URL.revokeObjectURL(url);
@@ -901,11 +992,11 @@ export default function Dashboard() {
               loggedIn={loggedIn}
             />
 
-            <ChartsArea series={series} topRoutes={topRoutes} predictionGroups={predGroups} />
+            <ChartsArea series={series.length > 0 ? series : liveSeries} topRoutes={topRoutes} predictionGroups={predGroups} />
 
             <MapView rows={rows} latCol={selectedCols.latCol} lngCol={selectedCols.lngCol} routeCol={selectedCols.routeCol} valueCol={selectedCols.valueCol} />
 
-            <PredictionsPanel predictions={predictions} topRoutes={topRoutes} loggedIn={loggedIn} />
+            <PredictionsPanel forecasts={forecasts} topRoutes={topRoutes} loggedIn={loggedIn} />
 
             <div id="trivia-anchor" style={{ marginTop: 12 }} />
             <Trivia loggedIn={loggedIn} />
@@ -934,6 +1025,8 @@ export default function Dashboard() {
                 </form>
               </div>
 
+              <LiveTraffic />
+
               <Marketplace loggedIn={loggedIn} />
 
               <Mechanics loggedIn={loggedIn} />
@@ -2,6 +2,8 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { subscribeTraffic } from "../services/trafficSocket";
+import { authHeader } from "../services/auth";
 
 /**
  * Premium Landing page: Gold edition
@@ -11,7 +13,7 @@ import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianG
  * - Trivia with levels and scoring
  * - Mini-games (lightweight interactive)
  * - News ticker & feed
- * - Report incident form (localStorage)
+ * - Report incident form & recent open reports (reports API)
  * - Marketplace mock & emergency services mock
  * - AI assistant bubble that expands to a panel
  *
@@ -19,12 +21,14 @@ import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianG
  */
 
 /* ----------------- Helpers ----------------- */
-const uid = (p = "") => `${p}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
 const nowISO = () => new Date().toISOString();
 const isLoggedIn = () => !!localStorage.getItem("currentUser");
 
 /* ----------------- Lane Simulation ----------------- */
+const utilisation = (flow, capacity) => Math.max(0, Math.min(100, Math.round((flow / (capacity || 1)) * 100)));
+
 function LaneSimulation({ onClickBar }) {
+  // placeholder roads until the backend answers with the configured network
   const [lanes, setLanes] = useState([
     { id: "R1", inbound: 55, outbound: 35 },
     { id: "R2", inbound: 42, outbound: 58 },
@@ -33,16 +37,11 @@ function LaneSimulation({ onClickBar }) {
   ]);
 
   useEffect(() => {
-    const iv = setInterval(() => {
-      setLanes((prev) =>
-        prev.map((r) => ({
-          ...r,
-          inbound: Math.max(5, Math.min(98, Math.round(r.inbound + (Math.random() * 14 - 7)))),
-          outbound: Math.max(5, Math.min(98, Math.round(r.outbound + (Math.random() * 14 - 7)))),
-        }))
-      );
-    }, 1100);
-    return () => clearInterval(iv);
+    // live road states pushed by the server; inbound/outbound are shown as % of each direction's capacity
+    return subscribeTraffic({}, (roads) => {
+      if (roads.length === 0) return;
+      setLanes(roads.map((r) => ({ id: r.id, inbound: utilisation(r.inbound, r.capacityInbound), outbound: utilisation(r.outbound, r.capacityOutbound) })));
+    });
   }, []);
 
   return (
@@ -76,32 +75,45 @@ function LaneSimulation({ onClickBar }) {
 }
 
 /* ----------------- Time vs Traffic Chart (auto-updating) ----------------- */
+// Sum per-road history buckets from /api/traffic/history into one point per bucket
+const historyToChart = (points = []) => {
+  const byBucket = {};
+  points.forEach((p) => {
+    const key = new Date(p.bucketStart).getTime();
+    if (!byBucket[key]) byBucket[key] = { inbound: 0, outbound: 0 };
+    byBucket[key].inbound += p.inbound || 0;
+    byBucket[key].outbound += p.outbound || 0;
+  });
+  return Object.keys(byBucket).sort((a, b) => a - b).map((k) => ({
+    time: new Date(Number(k)).toLocaleTimeString([], { hour: "numeric" }),
+    inbound: Math.round(byBucket[k].inbound),
+    outbound: Math.round(byBucket[k].outbound),
+  }));
+};
+
 function TrafficLineChart() {
-  // create simulated times-of-day samples and update smoothly
+  // flat placeholder until the first history response arrives
   const initial = useMemo(() => {
-    // hours labels (e.g., 00:00 to 23:00 compressed to 8 samples: early morning, morning, noon, afternoon, evening, night)
     const hours = ["4AM", "7AM", "10AM", "1PM", "4PM", "7PM", "10PM", "1AM"];
-    return hours.map((h, idx) => ({ time: h, inbound: 20 + idx * 8 + Math.random() * 10, outbound: 25 + Math.random() * 20 }));
+    return hours.map((h) => ({ time: h, inbound: 0, outbound: 0 }));
   }, []);
 
   const [data, setData] = useState(initial);
 
   useEffect(() => {
-    // animate by shifting and morphing values
-    const iv = setInterval(() => {
-      setData((prev) => {
-        const next = prev.map((p, i) => {
-          // gently move values toward a new random target for smooth animation
-          const shift = (Math.random() * 6 - 3);
-          return {
-            ...p,
-            inbound: Math.max(5, Math.min(120, Math.round(p.inbound + shift))),
-            outbound: Math.max(5, Math.min(120, Math.round(p.outbound + (Math.random() * 6 - 3)))),
-          };
-        });
-        return next;
-      });
-    }, 1400);
+    // plot the last 24h of recorded traffic, refreshed every minute
+    const load = () => {
+      const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+      fetch(`/api/traffic/history?from=${encodeURIComponent(from)}&bucket=1h`)
+        .then((res) => (res.ok ? res.json() : Promise.reject(res.status)))
+        .then(({ points }) => {
+          if (!points || points.length === 0) return;
+          setData(historyToChart(points));
+        })
+        .catch(() => {});
+    };
+    load();
+    const iv = setInterval(load, 60000);
     return () => clearInterval(iv);
   }, []);
 
@@ -441,7 +453,7 @@ export default function Landing() {
     "Real-time routing reduces emissions and travel time.",
     "Public reporting increases incident response speed.",
   ]);
-  const [reports, setReports] = useState(() => JSON.parse(localStorage.getItem("reports") || "[]"));
+  const [reports, setReports] = useState([]);
   const [showWalk, setShowWalk] = useState(false);
   const [showCongrats, setShowCongrats] = useState(false);
   const [lastTriviaScore, setLastTriviaScore] = useState(null);
@@ -458,8 +470,16 @@ export default function Landing() {
     return () => clearInterval(id);
   }, []);
 
+  // Open reports only: expired and closed ones drop out of the list
+  useEffect(() => {
+    fetch("/api/reports?status=new,verified,dispatched,on-scene&limit=8")
+      .then((res) => (res.ok ? res.json() : Promise.reject(res)))
+      .then(setReports)
+      .catch(() => {});
+  }, []);
+
   const onNewReport = (r) => {
-    setReports((p) => [r, ...p]);
+    setReports((p) => [r, ...p].slice(0, 8));
   };
 
   const onTriviaFinish = (score) => {
@@ -603,10 +623,10 @@ export default function Landing() {
               <h4 style={{ marginTop: 0 }}>Recent Reports</h4>
               {reports.length === 0 && <div style={{ color: "#94a3b8" }}>No reports yet.</div>}
               {reports.slice(0, 8).map((r) => (
-                <div key={r.id} style={{ padding: 10, borderBottom: "1px solid #f1f5f9" }}>
+                <div key={r._id} style={{ padding: 10, borderBottom: "1px solid #f1f5f9" }}>
                   <div style={{ fontWeight: 800 }}>{r.title} <span style={{ color: "#94a3b8", fontSize: 12, marginLeft: 8 }}>{r.severity}</span></div>
                   <div style={{ color: "#475569" }}>{r.description}</div>
-                  <div style={{ fontSize: 12, color: "#94a3b8", marginTop: 6 }}>{r.location || "Location not provided"} • {new Date(r.createdAt).toLocaleString()}</div>
+                  <div style={{ fontSize: 12, color: "#94a3b8", marginTop: 6 }}>{r.address || "Location not provided"} • {new Date(r.createdAt).toLocaleString()}</div>
                 </div>
               ))}
             </div>
@@ -701,20 +721,29 @@ function ReportIncident({ onNew }) {
   const [form, setForm] = useState({ title: "", description: "", severity: "medium", location: "" });
   const [msg, setMsg] = useState("");
 
-  const submit = (e) => {
+  const submit = async (e) => {
     e.preventDefault();
     if (!form.title || !form.description) {
       setMsg("Please complete title and description");
       setTimeout(() => setMsg(""), 2500);
       return;
     }
-    const reports = JSON.parse(localStorage.getItem("reports") || "[]");
-    const r = { id: uid("r_"), ...form, createdAt: nowISO() };
-    reports.unshift(r);
-    localStorage.setItem("reports", JSON.stringify(reports));
-    setForm({ title: "", description: "", severity: "medium", location: "" });
-    setMsg("Reported ✓");
-    onNew && onNew(r);
+    const { location, ...fields } = form;
+    try {
+      const res = await fetch("/api/reports", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeader() },
+        body: JSON.stringify({ ...fields, ...(location.trim() && { address: location.trim() }) }),
+      });
+      const r = await res.json();
+      if (res.status === 401) throw new Error("Log in with a verified account to report incidents");
+      if (!res.ok) throw new Error(r.message || "Could not send the report");
+      setForm({ title: "", description: "", severity: "medium", location: "" });
+      setMsg("Reported ✓");
+      onNew && onNew(r);
+    } catch (err) {
+      setMsg(err.message);
+    }
     setTimeout(() => setMsg(""), 2400);
   };
 
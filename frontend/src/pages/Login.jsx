@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { loginUser } from "../services/auth";
 
 export default function Login() {
   const navigate = useNavigate();
@@ -9,23 +10,16 @@ export default function Login() {
   const handleChange = (e) =>
     setFormData({ ...formData, [e.target.name]: e.target.value });
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    setError("");
 
-    const users = JSON.parse(localStorage.getItem("users")) || [];
-    const user = users.find(
-      (u) => u.email === formData.email && u.password === formData.password
-    );
-
-    if (!user) {
-      setError("Invalid email or password!");
-      return;
+    try {
+      await loginUser(formData.email, formData.password); // stores the session and API tokens
+      navigate("/dashboard"); // Redirect after login
+    } catch (err) {
+      setError(err.message);
     }
-
-    // Save session
-    localStorage.setItem("currentUser", JSON.stringify(user));
-
-    navigate("/dashboard"); // Redirect after login
   };
 
   return (
@@ -63,6 +57,11 @@ export default function Login() {
             Register
           </span>
         </p>
+        <p style={switchStyle}>
+          <span style={linkStyle} onClick={() => navigate("/recover")}>
+            Forgot your password?
+          </span>
+        </p>
       </form>
     </div>
   );
@@ -12,7 +12,7 @@ export default function Recover() {
 
   const validateEmail = (email) => /\S+@\S+\.\S+/.test(email);
 
-  const handleRecover = () => {
+  const handleRecover = async () => {
     if (!email) {
       setMessage("⚠️ Please enter your email.");
       setStatus("error");
@@ -28,24 +28,22 @@ export default function Recover() {
     setMessage("");
     setStatus("");
 
-    setTimeout(() => {
-      const users = JSON.parse(localStorage.getItem("users")) || [];
-      const user = users.find((u) => u.email === email);
-
-      if (user) {
-        setMessage(`📩 A recovery link has been sent to ${email}`);
-        setStatus("success");
-
-        // Simulate user clicking recovery link
-        setTimeout(() => {
-          navigate(`/reset-password?email=${encodeURIComponent(email)}`);
-        }, 1500);
-      } else {
-        setMessage("❌ No account found with that email.");
-        setStatus("error");
-      }
-      setLoading(false);
-    }, 1200);
+    try {
+      const res = await fetch("/api/auth/forgot", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+      // The server answers the same for unknown emails, so just point to the inbox
+      setMessage(`📩 If ${email} has an account, a recovery link is on its way. Check your inbox.`);
+      setStatus("success");
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Could not send the recovery link."}`);
+      setStatus("error");
+    }
+    setLoading(false);
   };
 
   return (
@@ -1,12 +1,12 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { registerUser } from "../services/auth";
 
 export default function Register() {
   const navigate = useNavigate();
-  const SUPER_CODE = "TRAFFIC123"; // special admin registration code
-
   const [formData, setFormData] = useState({
-    fullName: "",
+    firstName: "",
+    lastName: "",
     username: "",
     email: "",
     phone: "",
@@ -16,7 +16,6 @@ export default function Register() {
     password: "",
     confirmPassword: "",
     supercode: "",
-    role: "user",
   });
 
   const [error, setError] = useState("");
@@ -25,32 +24,32 @@ export default function Register() {
   const handleChange = (e) =>
     setFormData({ ...formData, [e.target.name]: e.target.value });
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    setError("");
 
     if (formData.password !== formData.confirmPassword) {
       setError("Passwords do not match!");
       return;
     }
 
-    // Assign role based on supercode
-    const role =
-      formData.supercode.trim() === SUPER_CODE ? "admin" : "user";
-
-    const newUser = { ...formData, role };
-    delete newUser.confirmPassword;
-
-    // Save in localStorage (no backend for now)
-    const users = JSON.parse(localStorage.getItem("users")) || [];
-    if (users.find((u) => u.email === formData.email)) {
-      setError("Email already registered!");
-      return;
+    // The server checks the supercode and assigns the role
+    const { firstName, lastName, email, phone, password, confirmPassword, supercode } = formData;
+    try {
+      const user = await registerUser({
+        firstName,
+        lastName,
+        email,
+        phone,
+        password,
+        confirmPassword,
+        adminCode: supercode.trim() || undefined,
+      });
+      setSuccess(`Registered successfully as ${user.role}! Check your inbox to verify your email. Redirecting...`);
+      setTimeout(() => navigate("/dashboard"), 2000);
+    } catch (err) {
+      setError(err.message);
     }
-    users.push(newUser);
-    localStorage.setItem("users", JSON.stringify(users));
-
-    setSuccess(`Registered successfully as ${role}! Redirecting...`);
-    setTimeout(() => navigate("/login"), 2000);
   };
 
   return (
@@ -64,9 +63,18 @@ export default function Register() {
         <input
           style={inputStyle}
           type="text"
-          name="fullName"
-          placeholder="Full Name"
-          value={formData.fullName}
+          name="firstName"
+          placeholder="First Name"
+          value={formData.firstName}
+          onChange={handleChange}
+          required
+        />
+        <input
+          style={inputStyle}
+          type="text"
+          name="lastName"
+          placeholder="Last Name"
+          value={formData.lastName}
           onChange={handleChange}
           required
         />
@@ -2,13 +2,25 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+import { authHeader } from "../services/auth";
+
+const CATEGORIES = ["accident", "congestion", "roadwork", "hazard", "closure", "breakdown", "weather", "other"];
+const apiError = (err, fallback) => err.response?.data?.message || fallback;
+
+// "expires in 1h 20m" for open reports that have an expiry
+const expiresIn = (expiresAt) => {
+  const min = Math.round((new Date(expiresAt) - Date.now()) / 60000);
+  if (min <= 0) return "expiring";
+  return min < 60 ? `expires in ${min}m` : `expires in ${Math.floor(min / 60)}h ${min % 60}m`;
+};
 
 export default function Reports() {
   const navigate = useNavigate();
   const currentUser = JSON.parse(localStorage.getItem("currentUser"));
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [form, setForm] = useState({ message: "", location: "", urgent: false });
+  const [form, setForm] = useState({ message: "", location: "", category: "other", urgent: false });
+  const [files, setFiles] = useState([]);
   const [error, setError] = useState("");
 
   useEffect(() => {
@@ -23,10 +35,8 @@ export default function Reports() {
     try {
       const res = await axios.get("/api/reports");
       setReports(res.data);
-    } catch {
-      // fallback: use localStorage if API fails
-      const storedReports = JSON.parse(localStorage.getItem("reports")) || [];
-      setReports(storedReports);
+    } catch (err) {
+      setError(apiError(err, "⚠️ Could not load reports."));
     } finally {
       setLoading(false);
     }
@@ -40,43 +50,90 @@ export default function Reports() {
     }
 
     const newReport = {
-      id: Date.now(),
-      message: form.message,
-      location: form.location,
-      urgent: form.urgent,
-      confirmed: false,
-      timestamp: new Date().toISOString(),
-      reportedBy: currentUser?.firstName || "Guest",
+      description: form.message,
+      address: form.location,
+      category: form.category,
+      severity: form.urgent ? "high" : "medium",
+      reporterName: currentUser?.firstName || "Guest",
     };
 
+    let created;
     try {
-      await axios.post("/api/reports", newReport);
-    } catch {
-      // fallback: save to localStorage
-      const storedReports = JSON.parse(localStorage.getItem("reports")) || [];
-      localStorage.setItem("reports", JSON.stringify([newReport, ...storedReports]));
+      created = (await axios.post("/api/reports", newReport, { headers: authHeader() })).data;
+    } catch (err) {
+      setError(apiError(err, "⚠️ Could not submit the report."));
+      return;
     }
 
-    setForm({ message: "", location: "", urgent: false });
+    setForm({ message: "", location: "", category: "other", urgent: false });
     setError("");
+    if (files.length) await uploadAttachments(created, files);
+    setFiles([]);
+    e.target.reset(); // clears the file picker
     fetchReports();
   }
 
+  // Photos/videos for a report we just filed; offers the photo's GPS position when the report has none
+  async function uploadAttachments(report, chosen) {
+    const data = new FormData();
+    chosen.forEach((f) => data.append("files", f));
+    try {
+      const res = await axios.post(`/api/reports/${report._id}/attachments`, data, { headers: authHeader() });
+      const gps = res.data.suggestedLocation;
+      if (gps && !report.location && window.confirm("Your photo has a location. Use it for this report?")) {
+        await axios.put(`/api/reports/${report._id}`, { location: gps }, { headers: authHeader() });
+      }
+    } catch (err) {
+      setError(apiError(err, "⚠️ The report was filed but its attachments could not be uploaded."));
+    }
+  }
+
+  // Verify through the workflow; /confirm would quietly count a vote when the server does not allow verifying
   async function confirmReport(id) {
     if (!currentUser || currentUser.role !== "admin") return;
     try {
-      await axios.put(`/api/reports/${id}`, { confirmed: true });
-    } catch {
-      // fallback: update localStorage
-      const updated = reports.map(r => r.id === id ? { ...r, confirmed: true } : r);
-      localStorage.setItem("reports", JSON.stringify(updated));
+      const res = await axios.post(`/api/reports/${id}/transition`, { status: "verified" }, { headers: authHeader() });
+      setReports((prev) => prev.map((r) => (r._id === id ? res.data : r)));
+      setError("");
+    } catch (err) {
+      setError(apiError(err, "⚠️ Could not verify the report."));
     }
-    fetchReports();
   }
 
-  function statusBadge(confirmed, urgent) {
-    const bg = confirmed ? "#10b981" : urgent ? "#ef4444" : "#f59e0b";
-    const text = confirmed ? "Resolved" : urgent ? "Urgent" : "Pending";
+  // Confirm or dispute someone else's report, sending our position when the browser shares it
+  async function vote(id, choice) {
+    const position = await new Promise((resolve) => {
+      if (!navigator.geolocation) return resolve(null);
+      navigator.geolocation.getCurrentPosition(
+        (p) => resolve({ lat: p.coords.latitude, lng: p.coords.longitude }),
+        () => resolve(null),
+        { timeout: 5000 }
+      );
+    });
+    try {
+      const res = await axios.post(`/api/reports/${id}/vote`, { vote: choice, location: position || undefined }, { headers: authHeader() });
+      setReports((prev) => prev.map((r) => (r._id === id ? { ...r, ...res.data } : r)));
+      setError("");
+    } catch (err) {
+      setError(apiError(err, "⚠️ Could not record your vote."));
+    }
+  }
+
+  // Push back the expiry of a report that is still happening
+  async function stillThere(id) {
+    try {
+      const res = await axios.post(`/api/reports/${id}/still-there`, null, { headers: authHeader() });
+      setReports((prev) => prev.map((r) => (r._id === id ? { ...r, ...res.data } : r)));
+      setError("");
+    } catch (err) {
+      setError(apiError(err, "⚠️ Could not extend the report."));
+    }
+  }
+
+  function statusBadge(status, urgent) {
+    const closed = ["resolved", "closed", "rejected", "duplicate", "expired"].includes(status);
+    const bg = closed ? "#6b7280" : status !== "new" ? "#10b981" : urgent ? "#ef4444" : "#f59e0b";
+    const text = status === "new" ? (urgent ? "Urgent" : "Pending") : status[0].toUpperCase() + status.slice(1);
     return (
       <span
         style={{
@@ -126,6 +183,22 @@ export default function Reports() {
             onChange={(e) => setForm({ ...form, location: e.target.value })}
             style={input}
           />
+          <select
+            value={form.category}
+            onChange={(e) => setForm({ ...form, category: e.target.value })}
+            style={input}
+          >
+            {CATEGORIES.map((c) => (
+              <option key={c} value={c}>{c[0].toUpperCase() + c.slice(1)}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            multiple
+            accept="image/jpeg,image/png,image/webp,video/mp4,video/webm,video/quicktime"
+            onChange={(e) => setFiles([...e.target.files])}
+            style={{ ...input, padding: 6 }}
+          />
           <label style={{ color: "#fff", margin: "8px 0", display: "block" }}>
             <input
               type="checkbox"
@@ -145,37 +218,79 @@ export default function Reports() {
         ) : reports.length === 0 ? (
           <p style={{ color: "#bbb" }}>No reports yet.</p>
         ) : (
-          reports.map((r) => (
-            <div
-              key={r.id}
-              style={{
-                ...reportCard,
-                borderLeft: r.urgent ? "6px solid #ef4444" : "6px solid #FFD966",
-              }}
-            >
-              <p style={{ margin: 0, fontWeight: "bold" }}>{r.message}</p>
-              {r.location && (
-                <p style={{ margin: "4px 0", fontSize: "0.9rem", color: "#ccc" }}>
-                  📍 {r.location}
-                </p>
-              )}
-              <div style={{ display: "flex", alignItems: "center", marginTop: 6 }}>
-                <small style={{ color: "#aaa" }}>
-                  {new Date(r.timestamp || Date.now()).toLocaleString()}
-                </small>
-                {statusBadge(r.confirmed, r.urgent)}
-                {!r.confirmed && currentUser?.role === "admin" && (
-                  <button
-                    onClick={() => confirmReport(r.id)}
-                    style={confirmBtn}
-                  >
-                    Mark Resolved
-                  </button>
+          reports.map((r) => {
+            const urgent = r.severity === "high" || r.severity === "critical";
+            return (
+              <div
+                key={r._id}
+                style={{
+                  ...reportCard,
+                  borderLeft: urgent ? "6px solid #ef4444" : "6px solid #FFD966",
+                }}
+              >
+                <p style={{ margin: 0, fontWeight: "bold" }}>{r.title}</p>
+                {r.description !== r.title && <p style={{ margin: "4px 0" }}>{r.description}</p>}
+                {r.address && (
+                  <p style={{ margin: "4px 0", fontSize: "0.9rem", color: "#ccc" }}>
+                    📍 {r.address}
+                  </p>
+                )}
+                {r.attachments?.length > 0 && (
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6, margin: "6px 0" }}>
+                    {r.attachments.map((a) =>
+                      a.kind === "image" ? (
+                        <a key={a._id} href={a.url} target="_blank" rel="noreferrer">
+                          <img src={a.thumbUrl || a.url} alt={a.originalName || "Photo"} style={thumb} />
+                        </a>
+                      ) : (
+                        <video key={a._id} src={a.url} controls preload="metadata" style={thumb} />
+                      )
+                    )}
+                  </div>
                 )}
+                <div style={{ display: "flex", alignItems: "center", marginTop: 6 }}>
+                  <small style={{ color: "#aaa" }}>
+                    {new Date(r.createdAt).toLocaleString()} · {r.category}
+                    {r.reporterName ? ` · ${r.reporterName}` : ""}
+                  </small>
+                  {statusBadge(r.status, urgent)}
+                  <small style={{ color: "#aaa", marginLeft: 8 }} title="Community confidence">
+                    {Math.round((r.confidence ?? 0.5) * 100)}% · 👍 {r.confirmCount || 0} · 👎 {r.disputeCount || 0}
+                  </small>
+                  {r.childCount > 0 && (
+                    <small style={{ color: "#aaa", marginLeft: 8 }} title="Other reports of the same incident">
+                      +{r.childCount} similar
+                    </small>
+                  )}
+                  {r.expiresAt && ["new", "verified"].includes(r.status) && (
+                    <small style={{ color: "#aaa", marginLeft: 8 }} title={`Confirmed still there ${r.stillThereCount || 0} time(s)`}>
+                      {expiresIn(r.expiresAt)}
+                    </small>
+                  )}
+                  {currentUser && currentUser.role !== "admin" && ["new", "verified", "dispatched", "on-scene"].includes(r.status) && (
+                    <>
+                      <button onClick={() => vote(r._id, "confirm")} style={voteBtn} title="I can see this too">👍</button>
+                      <button onClick={() => vote(r._id, "dispute")} style={voteBtn} title="This is not happening">👎</button>
+                    </>
+                  )}
+                  {currentUser && ["new", "verified"].includes(r.status) && (
+                    <button onClick={() => stillThere(r._id)} style={voteBtn} title="Keep this report open">
+                      Still there
+                    </button>
+                  )}
+                  {r.status === "new" && currentUser?.role === "admin" && (
+                    <button
+                      onClick={() => confirmReport(r._id)}
+                      style={confirmBtn}
+                    >
+                      Verify
+                    </button>
+                  )}
+                </div>
+                {urgent && hotlineCard()}
               </div>
-              {r.urgent && hotlineCard()}
-            </div>
-          ))
+            );
+          })
         )}
       </div>
     </div>
@@ -238,6 +353,22 @@ const confirmBtn = {
   cursor: "pointer",
 };
 
+const thumb = {
+  height: 80,
+  maxWidth: 140,
+  objectFit: "cover",
+  borderRadius: 6,
+};
+
+const voteBtn = {
+  marginLeft: 6,
+  background: "rgba(255,255,255,0.2)",
+  border: "none",
+  borderRadius: 6,
+  padding: "2px 8px",
+  cursor: "pointer",
+};
+
 const hotlineBox = {
   background: "rgba(239,68,68,0.15)",
   border: "1px solid #ef4444",
@@ -7,7 +7,7 @@ const ResetPassword = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const queryParams = new URLSearchParams(location.search);
-  const email = queryParams.get("email");
+  const token = queryParams.get("token");
 
   const [newPassword, setNewPassword] = useState("");
   const [confirmPassword, setConfirmPassword] = useState("");
@@ -16,13 +16,13 @@ const ResetPassword = () => {
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
-    if (!email) {
+    if (!token) {
       setMessage("⚠️ Invalid recovery link.");
       setStatus("error");
     }
-  }, [email]);
+  }, [token]);
 
-  const handleReset = () => {
+  const handleReset = async () => {
     if (!newPassword || !confirmPassword) {
       setMessage("⚠️ Please fill in all fields.");
       setStatus("error");
@@ -42,26 +42,23 @@ const ResetPassword = () => {
     }
 
     setLoading(true);
-    setTimeout(() => {
-      const users = JSON.parse(localStorage.getItem("users")) || [];
-      const updatedUsers = users.map((u) =>
-        u.email === email ? { ...u, password: newPassword } : u
-      );
-      localStorage.setItem("users", JSON.stringify(updatedUsers));
-
-      // auto-login after reset
-      const currentUser = updatedUsers.find(u => u.email === email);
-      if (currentUser) localStorage.setItem("currentUser", JSON.stringify(currentUser));
-
-      setMessage("✅ Password reset successfully!");
+    try {
+      const res = await fetch("/api/auth/reset", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, password: newPassword, confirmPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+
+      setMessage("✅ Password reset successfully! Log in with your new password.");
       setStatus("success");
-
-      setTimeout(() => {
-        if (currentUser.role === "admin") navigate("/admin", { replace: true });
-        else navigate("/profile", { replace: true });
-      }, 2000);
-      setLoading(false);
-    }, 1200);
+      setTimeout(() => navigate("/login", { replace: true }), 2000);
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Could not reset the password."}`);
+      setStatus("error");
+    }
+    setLoading(false);
   };
 
   return (
@@ -93,7 +90,7 @@ const ResetPassword = () => {
 
         <button
           onClick={handleReset}
-          disabled={loading}
+          disabled={loading || !token}
           className="w-full py-3 rounded-lg bg-gradient-to-r from-orange-500 to-yellow-600 hover:from-orange-600 hover:to-yellow-700 shadow-lg transition disabled:opacity-50"
         >
           {loading ? "⏳ Resetting..." : "Reset Password"}
@@ -3,7 +3,10 @@ import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
 import { motion, AnimatePresence } from "framer-motion";
 import { Link } from "react-router-dom";
+import { MapContainer, TileLayer } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
 import { getCurrentUser } from "../services/auth";
+import IncidentLayer from "../components/IncidentLayer";
 
 /**
  * Social.jsx
@@ -17,7 +20,7 @@ import { getCurrentUser } from "../services/auth";
  * - Bookmarks (save posts)
  * - Notifications (badge + dropdown + clear)
  * - LocalStorage-backed persistence (works standalone without backend)
- * - SnapMap placeholder (coming soon)
+ * - SnapMap: live incident reports in the visible map area
  *
  * Notes:
  * - This file uses `getCurrentUser()` from `src/services/auth` to tie actions to the logged-in user.
@@ -231,6 +234,7 @@ export default function Social() {
   const [searchQ, setSearchQ] = useState("");
   const [statusMsg, setStatusMsg] = useState("");
   const [showNotifications, setShowNotifications] = useState(false);
+  const [mapIncidents, setMapIncidents] = useState([]); // reports inside the SnapMap viewport
 
   // emoji set
   const defaultEmojiSet = ["👍", "❤️", "😂", "😮", "😢", "🚦"];
@@ -696,19 +700,22 @@ export default function Social() {
 
           {view === "map" && (
             <div>
-              <h3>SnapMap (coming soon)</h3>
+              <h3>SnapMap</h3>
               <div style={{ padding: 16, background: "#fff", borderRadius: 12 }}>
-                <p>This feature (SnapMap) will display live traffic layers, recommended routes and emergency overlays.</p>
-                <p style={{ fontStyle: "italic" }}>Placeholder map & small simulation below:</p>
-                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 12 }}>
-                  {["R1", "R2", "R3", "R4"].map((r, i) => (
-                    <div key={r} style={{ padding: 12, borderRadius: 8, background: ["#d1fae5", "#fef3c7", "#fee2e2", "#e0f2fe"][i % 4] }}>
-                      <strong>{r}</strong>
-                      <div style={{ marginTop: 8 }}>Congestion: {Math.floor(20 + Math.random() * 80)}%</div>
-                      <div style={{ marginTop: 6 }}>Suggested: {Math.random() > 0.6 ? "Alternate route" : "Clear"}</div>
-                    </div>
-                  ))}
+                <div style={{ height: 380, borderRadius: 8, overflow: "hidden" }}>
+                  <MapContainer center={[0.3476, 32.5825]} zoom={13} style={{ height: "100%", width: "100%" }}>
+                    <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+                    <IncidentLayer onLoad={setMapIncidents} />
+                  </MapContainer>
                 </div>
+                <h4 style={{ marginBottom: 6 }}>Incidents in view ({mapIncidents.length})</h4>
+                {mapIncidents.length === 0 && <div style={{ color: "#666" }}>No reported incidents in this area.</div>}
+                {mapIncidents.slice(0, 20).map((r) => (
+                  <div key={r._id} style={{ padding: 8, borderBottom: "1px solid #eee" }}>
+                    <strong>{r.title}</strong>
+                    <div style={{ fontSize: 12, color: "#666" }}>{r.category} • {r.severity} • {timeAgo(r.createdAt)}</div>
+                  </div>
+                ))}
               </div>
             </div>
           )}
@@ -0,0 +1,95 @@
+// src/pages/VerifyEmail.jsx
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { authHeader } from "../services/auth";
+
+const VerifyEmail = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get("token");
+
+  const [message, setMessage] = useState("⏳ Verifying your email address...");
+  const [status, setStatus] = useState("");
+  const [resending, setResending] = useState(false);
+
+  useEffect(() => {
+    if (!token) {
+      setMessage("⚠️ Invalid verification link.");
+      setStatus("error");
+      return;
+    }
+    fetch("/api/auth/verify-email", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+    })
+      .then((res) => res.json().then((data) => (res.ok ? data : Promise.reject(new Error(data.message)))))
+      .then((data) => {
+        setMessage(`✅ ${data.email} is verified. You can now report incidents.`);
+        setStatus("success");
+      })
+      .catch((err) => {
+        setMessage(`❌ ${err.message || "Could not verify your email address."}`);
+        setStatus("error");
+      });
+  }, [token]);
+
+  // Only signed-in users (with an API token) can ask for a new link
+  const canResend = status === "error" && !!authHeader().Authorization;
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      const res = await fetch("/api/auth/resend-verification", { method: "POST", headers: authHeader() });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message);
+      setMessage(`📩 ${data.message}`);
+      setStatus("success");
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Could not send a new link."}`);
+    }
+    setResending(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 via-black to-gray-800 p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="bg-white/10 backdrop-blur-lg p-8 rounded-3xl shadow-2xl w-full max-w-md text-white"
+      >
+        <h2 className="text-2xl font-bold mb-6 text-center text-yellow-400">
+          Verify Email
+        </h2>
+
+        <p
+          className={`text-center font-semibold ${
+            status === "success" ? "text-green-400" : status === "error" ? "text-red-400" : "text-white"
+          }`}
+        >
+          {message}
+        </p>
+
+        {canResend && (
+          <button
+            onClick={handleResend}
+            disabled={resending}
+            className="w-full mt-6 py-3 rounded-lg bg-gradient-to-r from-orange-500 to-yellow-600 hover:from-orange-600 hover:to-yellow-700 shadow-lg transition disabled:opacity-50"
+          >
+            {resending ? "⏳ Sending..." : "Send a new link"}
+          </button>
+        )}
+
+        <div className="mt-6 text-center text-sm">
+          <button onClick={() => navigate("/login")} className="text-yellow-300 hover:underline">
+            Go to Login
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,4 +1,5 @@
 // src/services/auth.js
+import axios from "axios";
 
 // -------------------- LocalStorage Utilities --------------------
 const LS = {
@@ -31,7 +32,6 @@ if (!LS.get("users")) {
 }
 
 // -------------------- Helper Functions --------------------
-const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
 export const getAllUsers = () => LS.get("users", []);
 export const saveAllUsers = (users) => LS.set("users", users);
 
@@ -59,55 +59,63 @@ export const isAuthenticated = () => !!getCurrentUser();
 
 // -------------------- Auth Functions --------------------
 
-/**
- * Register a new user
- * @param {Object} user - {name, username, email, password}
- * @returns {Object} user
- */
-export function registerUser(user) {
-  const users = getAllUsers();
-
-  // Check for duplicate email or username
-  if (users.find(u => u.email === user.email)) throw new Error("Email already registered");
-  if (users.find(u => u.username === user.username)) throw new Error("Username already taken");
-
-  const newUser = {
-    ...user,
-    id: generateId(),
-    avatarColor: user.avatarColor || "#10b981"
-  };
-
-  users.push(newUser);
-  saveAllUsers(users);
-
-  // Auto-login
-  LS.set("currentUser", newUser);
+// Keep the API session (access + refresh token) and the signed-in user
+const startSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem("token", token);
+  localStorage.setItem("refreshToken", refreshToken);
+  const currentUser = { ...user, name: `${user.firstName} ${user.lastName}` };
+  LS.set("currentUser", currentUser);
   LS.set("lastActive", Date.now());
+  return currentUser;
+};
 
-  return newUser;
+// POST to /api/auth/<path>; throws with the server's message when it refuses
+const postAuth = async (path, body) => {
+  const res = await fetch(`/api/auth/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || "Request failed");
+  return data;
+};
+
+/**
+ * Register a new account and sign in
+ * @param {Object} user - {firstName, lastName, email, phone, password, confirmPassword, adminCode?}
+ * @returns {Promise<Object>} user
+ */
+export async function registerUser(user) {
+  return startSession(await postAuth("register", user));
 }
 
 /**
  * Login user
  * @param {string} email
  * @param {string} password
- * @returns {Object} user
+ * @returns {Promise<Object>} user
  */
-export function loginUser(email, password) {
-  const user = getAllUsers().find(u => u.email === email && u.password === password);
-  if (!user) throw new Error("Invalid email or password");
-
-  LS.set("currentUser", user);
-  LS.set("lastActive", Date.now());
-  return user;
+export async function loginUser(email, password) {
+  return startSession(await postAuth("login", { email, password }));
 }
 
 /**
- * Logout current user
+ * Logout current user (and end the API session when one is stored)
  */
 export function logoutUser() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (refreshToken) {
+    fetch("/api/auth/logout", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    }).catch(() => {});
+  }
   LS.remove("currentUser");
   LS.remove("lastActive");
+  LS.remove("token");
+  LS.remove("refreshToken");
 }
 
 /**
@@ -152,3 +160,80 @@ export function changePassword(oldPassword, newPassword) {
 export function getUserById(id) {
   return getAllUsers().find(u => u.id === id) || null;
 }
+
+/**
+ * Trade the stored refresh token for a new access token (both are replaced).
+ * Tabs share the tokens, so the exchange runs under a browser-wide lock: a tab that
+ * waited while another one refreshed picks up the new tokens instead of presenting
+ * the rotated refresh token, which the server would treat as stolen.
+ * @returns {Promise<string|null>} the new access token, or null when the session has ended
+ * @throws when the server cannot be reached or fails; the stored tokens are kept
+ */
+export async function refreshAccessToken() {
+  const seen = localStorage.getItem("refreshToken");
+  if (!seen) return null;
+
+  const exchange = async () => {
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (!refreshToken) return null; // logged out meanwhile
+    if (refreshToken !== seen) return localStorage.getItem("token"); // another tab refreshed
+
+    const res = await fetch("/api/auth/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (res.status === 401) {
+      LS.remove("token");
+      LS.remove("refreshToken");
+      return null;
+    }
+    if (!res.ok) throw new Error(`Token refresh failed (${res.status})`);
+    const tokens = await res.json();
+    localStorage.setItem("token", tokens.token);
+    localStorage.setItem("refreshToken", tokens.refreshToken);
+    return tokens.token;
+  };
+  return navigator.locks ? navigator.locks.request("auth-token-refresh", exchange) : exchange();
+}
+
+/**
+ * Authorization header for backend API calls (empty when no API token is stored)
+ * @returns {Object}
+ */
+export function authHeader() {
+  const token = localStorage.getItem("token");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// -------------------- Token Refresh --------------------
+
+// One refresh at a time in this tab: requests that fail together wait for the same new token
+let refreshing = null;
+
+// An API call that was sent with a token and answered 401 refreshes the token and is retried once.
+// The user is logged out only when the server refuses the refresh token; if the refresh itself
+// fails (offline, server error) the call fails as it did and the session is kept.
+axios.interceptors.response.use(null, async (error) => {
+  const { config, response } = error;
+  if (response?.status !== 401 || !config?.headers?.Authorization || config._retried) throw error;
+
+  // Another tab may already have refreshed since this call was sent
+  let token = localStorage.getItem("token");
+  if (!token || config.headers.Authorization === `Bearer ${token}`) {
+    refreshing = refreshing || refreshAccessToken().finally(() => (refreshing = null));
+    try {
+      token = await refreshing;
+    } catch {
+      throw error;
+    }
+  }
+  if (!token) {
+    logoutUser();
+    window.location.assign("/login");
+    throw error;
+  }
+  config._retried = true;
+  config.headers.Authorization = `Bearer ${token}`;
+  return axios(config);
+});
@@ -0,0 +1,35 @@
+// src/services/trafficSocket.js
+import { io } from "socket.io-client";
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:4000";
+
+/**
+ * Subscribe to live road states pushed by the backend ("traffic-update" channel).
+ * Merges the snapshot and the following deltas, and calls onRoads with the full list each time.
+ * @param {Object} filter - {roads?: string[], bbox?: [minLng, minLat, maxLng, maxLat]}; empty = all roads
+ * @param {function} onRoads - receives an array of road states
+ * @returns {function} unsubscribe
+ */
+export function subscribeTraffic(filter, onRoads) {
+  const socket = io(SOCKET_URL, { transports: ["websocket", "polling"] });
+  let roads = new Map();
+
+  socket.on("connect", () => {
+    if (filter && (filter.roads || filter.bbox)) socket.emit("traffic-subscribe", filter);
+  });
+
+  socket.on("traffic-update", (msg) => {
+    if (msg.type === "snapshot") {
+      roads = new Map(msg.roads.map((r) => [r.id, r]));
+    } else {
+      msg.roads.forEach((d) => roads.set(d.id, { ...roads.get(d.id), ...d }));
+      (msg.removed || []).forEach((id) => roads.delete(id));
+    }
+    onRoads([...roads.values()]);
+  });
+
+  return () => {
+    socket.emit("traffic-unsubscribe");
+    socket.close();
+  };
+}